@@ -1,26 +1,31 @@
-import React, { useContext } from 'react';
-import { AuthContext } from './AuthContext';
-import LoginButton from './LoginButton';
+import React from 'react';
+import { Route, Routes } from 'react-router-dom';
+import ProtectedRoute from './ProtectedRoute';
+import RequireRole from './RequireRole';
 import OAuth2RedirectHandler from './OAuth2RedirectHandler';
+import LoginPage from './pages/LoginPage';
+import DashboardPage from './pages/DashboardPage';
+import AccountSettingsPage from './pages/AccountSettingsPage';
+import AdminUsersPage from './pages/AdminUsersPage';
+import ErrorPage from './pages/ErrorPage';
 
 function App() {
-  const { user, logout } = useContext(AuthContext);
+  return (
+    <Routes>
+      <Route path='/login' element={<LoginPage />} />
+      <Route path='/oauth2/redirect' element={<OAuth2RedirectHandler />} />
+      <Route path='/error' element={<ErrorPage />} />
 
-  if (window.location.pathname === '/oauth2/redirect') {
-    return <OAuth2RedirectHandler />;
-  }
+      <Route element={<ProtectedRoute />}>
+        <Route path='/' element={<DashboardPage />} />
+        <Route path='/account' element={<AccountSettingsPage />} />
+        <Route element={<RequireRole role='admin' />}>
+          <Route path='/admin' element={<AdminUsersPage />} />
+        </Route>
+      </Route>
 
-  return (
-    <div>
-      {user ? (
-        <div>
-          <p>Welcome, {user.name}!</p>
-          <button onClick={logout}>Logout</button>
-        </div>
-      ) : (
-        <LoginButton />
-      )}
-    </div>
+      <Route path='*' element={<ErrorPage code='not_found' />} />
+    </Routes>
   );
 }
-export default App;
\ No newline at end of file
+export default App;
@@ -1,24 +1,135 @@
-import React, { createContext, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { AuthContext } from "./auth-context";
+import { createApiClient } from "./api";
 
-export const AuthContext = createContext();
+// refresh this long before the access token runs out
+const REFRESH_MARGIN_MS = 60 * 1000;
+// shared by all tabs: the storage event syncs login, refresh and logout
+const EXPIRES_KEY = 'auth:expiresAt';
+
+function storedExpiry() {
+    const value = localStorage.getItem(EXPIRES_KEY);
+    return value ? new Date(value) : null;
+}
+
+// one tab at a time may rotate the refresh cookie, a second rotation
+// with the same token would look like reuse and revoke the session
+function withRefreshLock(fn) {
+    if (navigator.locks) return navigator.locks.request('auth-refresh', fn);
+    return fn();
+}
+
+// new access token expiry, or null when the session is gone
+function refreshSession(force = false) {
+    return withRefreshLock(async () => {
+        // another tab may have refreshed while we waited for the lock
+        const current = storedExpiry();
+        if (!force && current && current.getTime() - Date.now() > REFRESH_MARGIN_MS) return current;
+
+        const res = await fetch('/api/auth/refresh', { method: 'POST' });
+        if (!res.ok) return null;
+        const data = await res.json();
+        localStorage.setItem(EXPIRES_KEY, data.expiresAt);
+        return new Date(data.expiresAt);
+    });
+}
+
+// rehydrate from the httpOnly session cookies
+async function fetchSession() {
+    let res = await fetch('/api/me');
+    if (res.status === 401 && await refreshSession(true)) res = await fetch('/api/me');
+    if (!res.ok) return null;
+    return res.json();
+}
 
 export function AuthProvider({ children }) {
     const [user, setUser] = useState(null);
-    const [token, setToken] = useState(null);
+    const [expiresAt, setExpiresAt] = useState(null);
+    const [loading, setLoading] = useState(true);
+    // bumped on every login/logout so a slower bootstrap can't overwrite it
+    const versionRef = useRef(0);
 
-    const login = (userData, accessToken) => {
+    const startSession = useCallback((userData, expiry) => {
+        versionRef.current += 1;
+        const date = new Date(expiry);
         setUser(userData);
-        setToken(accessToken);
-    };
+        setExpiresAt(date);
+        localStorage.setItem(EXPIRES_KEY, date.toISOString());
+    }, []);
 
-    const logout = () => {
+    const clearSession = useCallback(() => {
+        versionRef.current += 1;
         setUser(null);
-        setToken(null);
+        setExpiresAt(null);
+        localStorage.removeItem(EXPIRES_KEY);
+    }, []);
+
+    const loadUser = useCallback(() => {
+        const version = versionRef.current;
+        return fetchSession().then(session => {
+            if (version !== versionRef.current) return;
+            if (session) startSession(session.user, session.expiresAt);
+            else clearSession();
+        });
+    }, [startSession, clearSession]);
+
+    useEffect(() => {
+        loadUser()
+            .catch(err => console.error(err))
+            .finally(() => setLoading(false));
+    }, [loadUser]);
+
+    // silently refresh ahead of expiry
+    useEffect(() => {
+        if (!user || !expiresAt) return;
+        const delay = Math.max(0, expiresAt.getTime() - Date.now() - REFRESH_MARGIN_MS);
+        const timer = setTimeout(() => {
+            refreshSession()
+                .then(next => {
+                    if (next) setExpiresAt(next);
+                    else clearSession();
+                })
+                .catch(err => console.error(err));
+        }, delay);
+        return () => clearTimeout(timer);
+    }, [user, expiresAt, clearSession]);
+
+    // follow logins, refreshes and logouts made in other tabs
+    useEffect(() => {
+        const onStorage = (event) => {
+            if (event.key !== EXPIRES_KEY) return;
+            if (!event.newValue) {
+                setUser(null);
+                setExpiresAt(null);
+            } else if (user) {
+                setExpiresAt(new Date(event.newValue));
+            } else {
+                loadUser().catch(err => console.error(err));
+            }
+        };
+        window.addEventListener('storage', onStorage);
+        return () => window.removeEventListener('storage', onStorage);
+    }, [user, loadUser]);
+
+    const login = startSession;
+
+    // one client for the whole app, so a burst of 401s shares a single refresh
+    const api = useMemo(() => createApiClient({ refresh: () => refreshSession(true) }), []);
+    useEffect(() => api.subscribe({ refreshed: setExpiresAt, expired: clearSession }), [api, clearSession]);
+
+    const logout = async () => {
+        // revoke the server session too, local state is cleared either way
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } catch (err) {
+            console.error(err);
+        }
+        clearSession();
     };
 
     return (
-        <AuthContext.Provider value={{ user, token, login, logout }}>
+        <AuthContext.Provider value={{ user, loading, login, logout, api }}>
             {children}
         </AuthContext.Provider>
     )
-}
\ No newline at end of file
+}
@@ -1,27 +1,45 @@
 // client/src/LoginButton.js
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Button } from './components/pill-shaped-button';
+import { startLogin } from './oauth';
+import { useApi } from './useApi';
+import { isAbortError } from './api';
 
-function LoginButton() {
-    const handleLogin = () => {
-        const params = {
-            client_id: "",
-            redirect_uri: "",
-            response_type: 'code',
-            scope: 'openid email profile',
-            access_type: 'offline',
-            prompt: 'consent'
-        };
-        const url = 'https://accounts.google.com/o/oauth2/v2/auth?' + new URLSearchParams(params);
-        window.location.href = url;
-    };
+const ICONS = {
+    google: '/google.svg',
+    github: '/github.svg',
+    microsoft: '/microsoft.svg',
+};
+
+// `invite` comes from an invitation link, `returnTo` is where to land after the login
+function LoginButton({ invite, returnTo }) {
+    const api = useApi();
+    const [providers, setProviders] = useState([]);
+
+    // the server decides which providers are enabled, see GET /api/config
+    useEffect(() => {
+        api.get('/api/config')
+            .then(data => setProviders(data.providers))
+            .catch(err => {
+                if (!isAbortError(err)) console.error(err);
+            });
+    }, [api]);
 
     return (
-        <div className='flex justify-center items-center min-h-screen'>
-            <Button className='max-w-screen-xl' variant="secondary" onClick={handleLogin}>
-                <img src="/google.svg" alt="Google" className="w-5 h-5" />
-                Continue with Google
-            </Button>
+        <div className='flex flex-col gap-3 justify-center items-center min-h-screen'>
+            {providers.map(provider => (
+                <Button
+                    key={provider.id}
+                    className='max-w-screen-xl'
+                    variant="secondary"
+                    onClick={() => startLogin(provider.id, { invite, returnTo })}
+                >
+                    {ICONS[provider.id] && (
+                        <img src={ICONS[provider.id]} alt={provider.label} className="w-5 h-5" />
+                    )}
+                    Continue with {provider.label}
+                </Button>
+            ))}
         </div>
     );
 }
@@ -1,32 +1,61 @@
-import React, { useEffect, useContext } from 'react';
+import React, { useEffect, useContext, useRef } from 'react';
 import { useNavigate } from "react-router-dom";
-import { AuthContext } from './AuthContext';
+import { AuthContext } from './auth-context';
+import { takePendingProvider, takeReturnTo } from './oauth';
+import { useApi } from './useApi';
+import { isAbortError } from './api';
 
+// failures go to the error page with the problem's { code, detail, requestId }
 function OAuth2RedirectHandler() {
     const { login } = useContext(AuthContext);
     const navigate = useNavigate();
+    const api = useApi();
+    const processedRef = useRef(false); // the state can only be redeemed once
 
     useEffect(() => {
+        if (processedRef.current) return;
+        processedRef.current = true;
+
         const query = new URLSearchParams(window.location.search);
+        const fail = (state) => {
+            takeReturnTo();
+            navigate('/error', { replace: true, state });
+        };
+        // the provider sends ?error=access_denied etc. when the user cancels
+        const providerError = query.get('error');
+        if (providerError) {
+            takePendingProvider();
+            fail({ code: providerError, detail: query.get('error_description') });
+            return;
+        }
         const code = query.get('code');
-        if (code) {
-            // Send code to backend
-            fetch('/api/auth/google', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ code })
-            })
-                .then(res => res.json())
-                .then(data => {
-                    // On success, update context and redirect home
-                    login(data.user, data.token);
-                    navigate('/', { replace: true }); // go to home or dashboard
-                })
-                .catch(err => console.error(err));
+        const state = query.get('state');
+        if (!code) {
+            fail({ code: 'missing_code' });
+            return;
         }
-    }, [login, navigate]);
+
+        // Send code and state to the provider's callback on the backend; leaving
+        // the page cancels it (useApi), and then nothing is left to navigate
+        api.post(`/api/auth/${encodeURIComponent(takePendingProvider())}/callback`, { code, state })
+            .then(data => {
+                // a linked identity goes back to the settings page
+                if (data.intent === 'link') {
+                    takeReturnTo();
+                    navigate('/account', { replace: true });
+                    return;
+                }
+                // On success, update context and go back to the page the user asked for
+                login(data.user, data.expiresAt);
+                // signing in during the deletion grace period restored the account
+                navigate(takeReturnTo() || '/', { replace: true, state: { restored: data.restored } });
+            })
+            .catch(err => {
+                if (!isAbortError(err)) fail({ code: err.code, detail: err.message, requestId: err.requestId });
+            });
+    }, [api, login, navigate]);
 
     return <div>Logging you in...</div>;
 }
 
-export default OAuth2RedirectHandler;
\ No newline at end of file
+export default OAuth2RedirectHandler;
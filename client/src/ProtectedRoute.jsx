@@ -0,0 +1,17 @@
+import React, { useContext } from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { AuthContext } from './auth-context';
+
+// layout route for pages that need a signed-in user; everyone else goes to
+// /login, which sends them back here afterwards
+function ProtectedRoute({ children }) {
+    const { user, loading } = useContext(AuthContext);
+    const location = useLocation();
+
+    // don't bounce to the login page while the session is being restored
+    if (loading) return null;
+    if (!user) return <Navigate to='/login' replace state={{ from: location }} />;
+    return children ?? <Outlet />;
+}
+
+export default ProtectedRoute;
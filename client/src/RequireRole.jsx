@@ -0,0 +1,15 @@
+import React, { useContext } from 'react';
+import { Outlet } from 'react-router-dom';
+import { AuthContext } from './auth-context';
+import ErrorPage from './pages/ErrorPage';
+
+// nest inside ProtectedRoute; `role` is one of the server's roles (USER, ADMIN).
+// The server checks the role again, this only keeps the page from rendering.
+function RequireRole({ role, children }) {
+    const { user } = useContext(AuthContext);
+
+    if (user?.role !== role.toUpperCase()) return <ErrorPage code='forbidden' />;
+    return children ?? <Outlet />;
+}
+
+export default RequireRole;
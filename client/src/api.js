@@ -0,0 +1,164 @@
+// shared client for the backend: cookies ride along, a 401 triggers one
+// refresh for however many requests failed with it, and failures come back
+// as typed errors carrying the server's problem code
+
+export class ApiError extends Error {
+    constructor(message, { status = 0, code = 'unknown_error', requestId, errors, retryAfter } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.requestId = requestId;
+        this.errors = errors;
+        this.retryAfter = retryAfter;
+    }
+}
+
+export class ValidationError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ValidationError';
+    }
+}
+
+export class UnauthorizedError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'UnauthorizedError';
+    }
+}
+
+export class ForbiddenError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ForbiddenError';
+    }
+}
+
+export class NotFoundError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NotFoundError';
+    }
+}
+
+export class ConflictError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ConflictError';
+    }
+}
+
+// `retryAfter` is in seconds, from the Retry-After header
+export class RateLimitError extends ApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'RateLimitError';
+    }
+}
+
+// the request never got an answer: offline, DNS, server down
+export class NetworkError extends ApiError {
+    constructor(message, cause) {
+        super(message, { code: 'network_error' });
+        this.name = 'NetworkError';
+        this.cause = cause;
+    }
+}
+
+const ERRORS_BY_STATUS = {
+    401: UnauthorizedError,
+    403: ForbiddenError,
+    404: NotFoundError,
+    409: ConflictError,
+    429: RateLimitError,
+};
+
+// cancelled through an AbortSignal, usually because the component unmounted
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+// the server answers with RFC 9457 problem documents: { code, detail, requestId, errors? }
+async function toApiError(res) {
+    const problem = await res.json().catch(() => ({}));
+    const retryAfter = Number(res.headers.get('retry-after')) || undefined;
+    const details = {
+        status: res.status,
+        code: problem.code || `http_${res.status}`,
+        requestId: problem.requestId || res.headers.get('x-request-id') || undefined,
+        errors: problem.errors,
+        retryAfter,
+    };
+    const message = problem.detail || res.statusText || 'Request failed';
+    if (res.status === 400 && problem.errors) return new ValidationError(message, details);
+    const ErrorClass = ERRORS_BY_STATUS[res.status] || ApiError;
+    return new ErrorClass(message, details);
+}
+
+// the auth routes answer 401 for their own reasons, refreshing there would loop
+const NO_REFRESH = /^\/api\/auth\//;
+
+// `refresh()` resolves with something truthy (the new expiry) when the session
+// was renewed. subscribe({ refreshed, expired }) hears about it: `refreshed`
+// gets refresh()'s result, `expired` runs when the user has to sign in again.
+export function createApiClient({ refresh }) {
+    let refreshing = null;
+    const listeners = new Set();
+    const emit = (event, value) => listeners.forEach(listener => listener[event]?.(value));
+
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    // single flight: every request that hit a 401 meanwhile waits for the same refresh
+    function refreshOnce() {
+        if (!refreshing) {
+            refreshing = Promise.resolve()
+                .then(refresh)
+                .catch(() => null)
+                .then(renewed => {
+                    emit(renewed ? 'refreshed' : 'expired', renewed);
+                    return renewed;
+                })
+                .finally(() => { refreshing = null; });
+        }
+        return refreshing;
+    }
+
+    function send(path, { method = 'GET', body, headers, signal }) {
+        const init = { method, credentials: 'include', headers: { Accept: 'application/json', ...headers }, signal };
+        if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+        return fetch(path, init).catch(error => {
+            if (isAbortError(error)) throw error;
+            throw new NetworkError('Could not reach the server', error);
+        });
+    }
+
+    // resolves with the parsed JSON body (null for 204), or the Response itself
+    // with `raw: true` (downloads); rejects with an ApiError subclass
+    async function request(path, options = {}) {
+        let res = await send(path, options);
+
+        if (res.status === 401 && !NO_REFRESH.test(path) && await refreshOnce()) {
+            res = await send(path, options);
+        }
+        if (!res.ok) throw await toApiError(res);
+        if (options.raw) return res;
+        if (res.status === 204) return null;
+        return res.json();
+    }
+
+    return {
+        subscribe,
+        request,
+        get: (path, options) => request(path, { ...options, method: 'GET' }),
+        post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+        patch: (path, body, options) => request(path, { ...options, method: 'PATCH', body }),
+        delete: (path, options) => request(path, { ...options, method: 'DELETE' }),
+    };
+}
@@ -0,0 +1,40 @@
+// which provider the current tab went to; the redirect page needs it to
+// post the code back to the right /api/auth/:provider/callback
+const PROVIDER_KEY = 'oauth:provider';
+// where to go once the login completes, it has to survive the round trip
+const RETURN_TO_KEY = 'oauth:returnTo';
+
+// only paths within this app, never another origin
+function safeReturnTo(path) {
+    return typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') ? path : null;
+}
+
+// `invite` is the token from an invitation link, needed to sign up when
+// the server only admits invited users; `returnTo` is the page the user
+// originally asked for
+export function startLogin(providerId, { invite, returnTo } = {}) {
+    sessionStorage.setItem(PROVIDER_KEY, providerId);
+    if (safeReturnTo(returnTo)) sessionStorage.setItem(RETURN_TO_KEY, returnTo);
+    else sessionStorage.removeItem(RETURN_TO_KEY);
+    // the server creates state, nonce and PKCE and redirects on to the provider
+    const query = invite ? `?invite=${encodeURIComponent(invite)}` : '';
+    window.location.href = `/api/auth/${encodeURIComponent(providerId)}/start${query}`;
+}
+
+// same round trip, but the identity is added to the signed-in user
+export function startLink(providerId) {
+    sessionStorage.setItem(PROVIDER_KEY, providerId);
+    window.location.href = `/api/auth/${encodeURIComponent(providerId)}/start?intent=link`;
+}
+
+export function takePendingProvider() {
+    const providerId = sessionStorage.getItem(PROVIDER_KEY) || 'google';
+    sessionStorage.removeItem(PROVIDER_KEY);
+    return providerId;
+}
+
+export function takeReturnTo() {
+    const returnTo = safeReturnTo(sessionStorage.getItem(RETURN_TO_KEY));
+    sessionStorage.removeItem(RETURN_TO_KEY);
+    return returnTo;
+}
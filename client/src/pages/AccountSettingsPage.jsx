@@ -0,0 +1,120 @@
+import React, { useCallback, useContext, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Button } from '../components/pill-shaped-button';
+import { startLink } from '../oauth';
+import { errorMessage } from '../errorMessages';
+import { AuthContext } from '../auth-context';
+import { useApi } from '../useApi';
+import { isAbortError } from '../api';
+
+// linked sign-in identities (list, link another, unlink), data export and account deletion
+function AccountSettingsPage() {
+    const { logout } = useContext(AuthContext);
+    const api = useApi();
+    const [accounts, setAccounts] = useState([]);
+    const [providers, setProviders] = useState([]);
+    const [error, setError] = useState(null);
+
+    const showError = useCallback((err) => {
+        if (!isAbortError(err)) setError(errorMessage(err.code, err.message));
+    }, []);
+
+    const loadAccounts = useCallback(() => {
+        return api.get('/api/accounts').then(data => setAccounts(data.accounts));
+    }, [api]);
+
+    useEffect(() => {
+        loadAccounts().catch(showError);
+        api.get('/api/config')
+            .then(data => setProviders(data.providers))
+            .catch(showError);
+    }, [api, loadAccounts, showError]);
+
+    const unlink = (account) => {
+        setError(null);
+        api.delete(`/api/accounts/${account.id}`)
+            .then(loadAccounts)
+            .catch(showError);
+    };
+
+    const exportData = async () => {
+        setError(null);
+        try {
+            const res = await api.post('/api/users/me/export', undefined, { raw: true });
+            // the server names the file in Content-Disposition
+            const name = /filename="([^"]+)"/.exec(res.headers.get('content-disposition') || '')?.[1] || 'account-export.json';
+            const url = URL.createObjectURL(await res.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = name;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            showError(err);
+        }
+    };
+
+    const deleteAccount = async () => {
+        if (!window.confirm('Delete your account? You can restore it by signing in again during the grace period.')) return;
+        setError(null);
+        try {
+            const data = await api.delete('/api/users/me');
+            window.alert(`Your account will be permanently deleted on ${new Date(data.purgeAt).toLocaleDateString()}.`);
+            await logout();
+        } catch (err) {
+            showError(err);
+        }
+    };
+
+    const labelOf = (providerId) =>
+        providers.find(p => p.id === providerId)?.label || providerId;
+
+    return (
+        <div className='max-w-md mx-auto py-10 px-4 flex flex-col gap-6'>
+            <div className='flex justify-between items-center'>
+                <h1 className='text-xl font-semibold'>Account settings</h1>
+                <Link to='/' className='text-sm underline'>Back</Link>
+            </div>
+
+            {error && <p className='text-sm text-red-600'>{error}</p>}
+
+            <section className='flex flex-col gap-2'>
+                <h2 className='font-medium'>Sign-in methods</h2>
+                {accounts.map(account => (
+                    <div key={account.id} className='flex justify-between items-center border border-gray-200 rounded-lg px-4 py-2'>
+                        <div>
+                            <p className='text-sm font-medium'>{labelOf(account.provider)}</p>
+                            <p className='text-xs text-gray-500'>{account.email}</p>
+                        </div>
+                        <button
+                            className='text-sm text-red-600 disabled:text-gray-400 cursor-pointer disabled:cursor-not-allowed'
+                            disabled={accounts.length <= 1}
+                            onClick={() => unlink(account)}
+                        >
+                            Unlink
+                        </button>
+                    </div>
+                ))}
+            </section>
+
+            <section className='flex flex-col gap-2'>
+                <h2 className='font-medium'>Link another account</h2>
+                {providers.map(provider => (
+                    <Button key={provider.id} variant='outline' onClick={() => startLink(provider.id)}>
+                        Link {provider.label}
+                    </Button>
+                ))}
+            </section>
+
+            <section className='flex flex-col gap-2'>
+                <h2 className='font-medium'>Your data</h2>
+                <Button variant='outline' onClick={exportData}>Download my data</Button>
+                <button className='text-sm text-red-600 cursor-pointer' onClick={deleteAccount}>
+                    Delete account
+                </button>
+            </section>
+        </div>
+    );
+}
+
+export default AccountSettingsPage;
@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { errorMessage } from '../errorMessages';
+import { useApi } from '../useApi';
+import { isAbortError } from '../api';
+
+// read-only user list for admins; routed behind RequireRole role='admin'
+function AdminUsersPage() {
+    const api = useApi();
+    const [users, setUsers] = useState([]);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        api.get('/api/admin/users?pageSize=100')
+            .then(data => setUsers(data.users))
+            .catch(err => {
+                if (!isAbortError(err)) setError(errorMessage(err.code, err.message));
+            });
+    }, [api]);
+
+    return (
+        <div className='max-w-2xl mx-auto py-10 px-4 flex flex-col gap-6'>
+            <div className='flex justify-between items-center'>
+                <h1 className='text-xl font-semibold'>Users</h1>
+                <Link to='/' className='text-sm underline'>Back</Link>
+            </div>
+
+            {error && <p className='text-sm text-red-600'>{error}</p>}
+
+            <table className='text-sm text-left'>
+                <thead>
+                    <tr className='text-gray-500'>
+                        <th className='py-1'>Email</th>
+                        <th>Name</th>
+                        <th>Role</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {users.map(user => (
+                        <tr key={user.id} className='border-t border-gray-200'>
+                            <td className='py-1'>{user.email}</td>
+                            <td>{user.name}</td>
+                            <td>{user.role}</td>
+                            <td>{user.deletedAt ? 'Deleted' : user.disabled ? 'Disabled' : 'Active'}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+export default AdminUsersPage;
@@ -0,0 +1,27 @@
+import React, { useContext } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { AuthContext } from '../auth-context';
+
+function DashboardPage() {
+    const { user, logout } = useContext(AuthContext);
+    const { state } = useLocation();
+
+    return (
+        <div className='max-w-md mx-auto py-10 px-4 flex flex-col gap-4'>
+            {state?.restored && <p>Welcome back! Your account deletion has been cancelled.</p>}
+            <div className='flex items-center gap-3'>
+                {user.avatar && <img src={user.avatar} alt='' className='w-10 h-10 rounded-full' />}
+                <p>Welcome, {user.name}!</p>
+            </div>
+            <nav className='flex gap-4 text-sm underline'>
+                <Link to='/account'>Account settings</Link>
+                {user.role === 'ADMIN' && <Link to='/admin'>Users</Link>}
+            </nav>
+            <div>
+                <button className='text-sm cursor-pointer' onClick={logout}>Logout</button>
+            </div>
+        </div>
+    );
+}
+
+export default DashboardPage;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { errorMessage } from '../errorMessages';
+
+// OAuth failures land here from the redirect page with { code, detail, requestId }
+// in the navigation state; `code` as a prop is for the router's own errors
+function ErrorPage({ code: codeProp }) {
+    const { state } = useLocation();
+    const code = codeProp || state?.code;
+
+    return (
+        <div className='max-w-md mx-auto py-10 px-4 flex flex-col gap-4'>
+            <h1 className='text-xl font-semibold'>Something went wrong</h1>
+            <p>{errorMessage(code, state?.detail)}</p>
+            {state?.requestId && <p className='text-sm text-gray-500'>Reference: {state.requestId}</p>}
+            <Link to='/' className='text-sm underline'>Back to the start page</Link>
+        </div>
+    );
+}
+
+export default ErrorPage;
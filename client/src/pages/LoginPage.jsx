@@ -0,0 +1,22 @@
+import React, { useContext } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { AuthContext } from '../auth-context';
+import LoginButton from '../LoginButton';
+
+// ProtectedRoute sends signed-out users here with the page they asked for in `from`
+function LoginPage() {
+    const { user, loading } = useContext(AuthContext);
+    const { search, state } = useLocation();
+    const from = state?.from;
+    const returnTo = from ? `${from.pathname}${from.search}${from.hash}` : null;
+
+    if (loading) return null;
+    if (user) return <Navigate to={returnTo || '/'} replace />;
+
+    // an invitation link: /login?invite=<token>, or a protected page opened with ?invite=
+    const invite = new URLSearchParams(search).get('invite')
+        || new URLSearchParams(from?.search).get('invite');
+    return <LoginButton invite={invite} returnTo={returnTo} />;
+}
+
+export default LoginPage;
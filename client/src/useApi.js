@@ -0,0 +1,37 @@
+import { useContext, useEffect, useMemo, useRef } from 'react';
+import { AuthContext } from './auth-context';
+
+// both signals abort the request
+function anySignal(a, b) {
+    if (!a || !b) return a || b;
+    if (AbortSignal.any) return AbortSignal.any([a, b]);
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    a.addEventListener('abort', abort);
+    b.addEventListener('abort', abort);
+    return controller.signal;
+}
+
+// the shared API client (see api.js) with every request cancelled when the
+// calling component unmounts; callers ignore those with isAbortError()
+export function useApi() {
+    const { api } = useContext(AuthContext);
+    const controllerRef = useRef(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        return () => controller.abort();
+    }, []);
+
+    return useMemo(() => {
+        const bind = (options = {}) => ({ ...options, signal: anySignal(controllerRef.current?.signal, options.signal) });
+        return {
+            request: (path, options) => api.request(path, bind(options)),
+            get: (path, options) => api.get(path, bind(options)),
+            post: (path, body, options) => api.post(path, body, bind(options)),
+            patch: (path, body, options) => api.patch(path, body, bind(options)),
+            delete: (path, options) => api.delete(path, bind(options)),
+        };
+    }, [api]);
+}
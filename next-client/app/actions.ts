@@ -0,0 +1,21 @@
+"use server";
+
+import { cookies } from "next/headers";
+import { redirect } from "next/navigation";
+import { API_URL, ACCESS_COOKIE, REFRESH_COOKIE } from "@/lib/config";
+
+// ends the backend session, then drops our copies of the cookies
+export async function signOut() {
+  const store = await cookies();
+  const token = store.get(ACCESS_COOKIE)?.value;
+  if (token) {
+    await fetch(`${API_URL}/api/auth/logout`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+      cache: "no-store",
+    }).catch((error) => console.error("Logout request failed:", error));
+  }
+  store.delete({ name: ACCESS_COOKIE, path: "/" });
+  store.delete({ name: REFRESH_COOKIE, path: "/api/auth" });
+  redirect("/login");
+}
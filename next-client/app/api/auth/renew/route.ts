@@ -0,0 +1,29 @@
+import { NextResponse, type NextRequest } from "next/server";
+import { forwardCookies, forwardedFor } from "@/lib/auth";
+import { API_URL, REFRESH_COOKIE, safeReturnTo } from "@/lib/config";
+
+// proxy.ts sends page requests without a live access token here: only paths
+// under /api/auth receive the refresh cookie. Rotates it through the backend
+// and goes back to ?returnTo, or on to /login when the session is over.
+export async function GET(request: NextRequest) {
+  const returnTo = safeReturnTo(request.nextUrl.searchParams.get("returnTo")) ?? "/";
+  const login = new URL("/login", request.url);
+  login.searchParams.set("returnTo", returnTo);
+
+  const refreshToken = request.cookies.get(REFRESH_COOKIE)?.value;
+  if (!refreshToken) return NextResponse.redirect(login);
+
+  const res = await fetch(`${API_URL}/api/auth/refresh`, {
+    method: "POST",
+    headers: {
+      Cookie: `${REFRESH_COOKIE}=${refreshToken}`,
+      "User-Agent": request.headers.get("user-agent") ?? "",
+      ...forwardedFor(request.headers),
+    },
+    cache: "no-store",
+  }).catch(() => null);
+  if (!res) return NextResponse.redirect(login);
+
+  // on failure the backend clears the cookies, pass that on too
+  return forwardCookies(res, NextResponse.redirect(res.ok ? new URL(returnTo, request.url) : login));
+}
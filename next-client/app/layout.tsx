@@ -13,8 +13,8 @@ const geistMono = Geist_Mono({
 });
 
 export const metadata: Metadata = {
-  title: "Create Next App",
-  description: "Generated by create next app",
+  title: "Sign in",
+  description: "Sign in through the auth backend",
 };
 
 export default function RootLayout({
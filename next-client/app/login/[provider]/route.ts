@@ -0,0 +1,22 @@
+import { NextResponse, type NextRequest } from "next/server";
+import { PROVIDER_COOKIE, RETURN_TO_COOKIE, safeReturnTo } from "@/lib/config";
+
+const ROUND_TRIP_COOKIE = { httpOnly: true, sameSite: "lax", path: "/oauth2", maxAge: 10 * 60 } as const;
+
+// /login/google?returnTo=/somewhere: remember the provider and where to go
+// afterwards, then let the backend start the flow (state, nonce, PKCE)
+export async function GET(request: NextRequest, { params }: { params: Promise<{ provider: string }> }) {
+  const { provider } = await params;
+  const { searchParams } = request.nextUrl;
+  const start = new URL(`/api/auth/${encodeURIComponent(provider)}/start`, request.url);
+  const invite = searchParams.get("invite");
+  if (invite) start.searchParams.set("invite", invite);
+
+  const secure = request.nextUrl.protocol === "https:";
+  const response = NextResponse.redirect(start);
+  response.cookies.set(PROVIDER_COOKIE, provider, { ...ROUND_TRIP_COOKIE, secure });
+  const returnTo = safeReturnTo(searchParams.get("returnTo"));
+  if (returnTo) response.cookies.set(RETURN_TO_COOKIE, returnTo, { ...ROUND_TRIP_COOKIE, secure });
+  else response.cookies.delete({ name: RETURN_TO_COOKIE, path: "/oauth2" });
+  return response;
+}
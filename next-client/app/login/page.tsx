@@ -0,0 +1,50 @@
+import { redirect } from "next/navigation";
+import { getCurrentUser } from "@/lib/auth";
+import { API_URL, safeReturnTo } from "@/lib/config";
+import { errorMessage } from "@/lib/errorMessages";
+
+type Provider = { id: string; label: string };
+
+// the enabled providers come from the backend, see GET /api/config
+async function getProviders(): Promise<Provider[]> {
+  const res = await fetch(`${API_URL}/api/config`, { cache: "no-store" });
+  if (!res.ok) throw new Error(`GET /api/config failed with ${res.status}`);
+  const { providers } = (await res.json()) as { providers: Provider[] };
+  return providers;
+}
+
+export default async function LoginPage({
+  searchParams,
+}: {
+  searchParams: Promise<{ returnTo?: string; error?: string; requestId?: string; invite?: string }>;
+}) {
+  const { returnTo, error, requestId, invite } = await searchParams;
+  const target = safeReturnTo(returnTo);
+  if (await getCurrentUser()) redirect(target ?? "/");
+
+  const providers = await getProviders();
+  const query = new URLSearchParams();
+  if (target) query.set("returnTo", target);
+  if (invite) query.set("invite", invite);
+  const suffix = query.size ? `?${query}` : "";
+
+  return (
+    <main className="flex min-h-screen flex-col items-center justify-center gap-3 px-4">
+      {error && (
+        <div className="mb-2 text-center text-sm text-red-600">
+          <p>{errorMessage(error)}</p>
+          {requestId && <p className="text-gray-500">Reference: {requestId}</p>}
+        </div>
+      )}
+      {providers.map((provider) => (
+        <a
+          key={provider.id}
+          href={`/login/${encodeURIComponent(provider.id)}${suffix}`}
+          className="w-full max-w-xs rounded-full border-2 border-gray-200 px-6 py-3 text-center font-medium hover:bg-gray-50"
+        >
+          Continue with {provider.label}
+        </a>
+      ))}
+    </main>
+  );
+}
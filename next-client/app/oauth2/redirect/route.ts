@@ -0,0 +1,49 @@
+import { NextResponse, type NextRequest } from "next/server";
+import { forwardCookies, forwardedFor, type Problem } from "@/lib/auth";
+import { API_URL, PROVIDER_COOKIE, RETURN_TO_COOKIE, STATE_COOKIE, safeReturnTo } from "@/lib/config";
+
+function loginError(request: NextRequest, problem: Problem) {
+  const url = new URL("/login", request.url);
+  url.searchParams.set("error", problem.code ?? "internal_error");
+  if (problem.requestId) url.searchParams.set("requestId", problem.requestId);
+  return NextResponse.redirect(url);
+}
+
+// the provider's redirect_uri: the code is redeemed here on the server, the
+// backend's session cookies (httpOnly) are passed on and the browser never
+// sees a token
+export async function GET(request: NextRequest) {
+  const { searchParams } = request.nextUrl;
+  const provider = request.cookies.get(PROVIDER_COOKIE)?.value ?? "google";
+  const returnTo = safeReturnTo(request.cookies.get(RETURN_TO_COOKIE)?.value) ?? "/";
+
+  const finish = (response: NextResponse) => {
+    response.cookies.delete({ name: PROVIDER_COOKIE, path: "/oauth2" });
+    response.cookies.delete({ name: RETURN_TO_COOKIE, path: "/oauth2" });
+    return response;
+  };
+
+  // the provider sends ?error=access_denied etc. when the user cancels
+  const providerError = searchParams.get("error");
+  if (providerError) return finish(loginError(request, { code: providerError }));
+
+  const res = await fetch(`${API_URL}/api/auth/${encodeURIComponent(provider)}/callback`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      // the backend checks the state against the cookie it set at the start
+      Cookie: `${STATE_COOKIE}=${request.cookies.get(STATE_COOKIE)?.value ?? ""}`,
+      "User-Agent": request.headers.get("user-agent") ?? "",
+      ...forwardedFor(request.headers),
+    },
+    body: JSON.stringify({ code: searchParams.get("code"), state: searchParams.get("state") }),
+    cache: "no-store",
+  }).catch(() => null);
+
+  if (!res) return finish(loginError(request, { code: "provider_unavailable" }));
+  if (!res.ok) {
+    const problem = (await res.json().catch(() => ({}))) as Problem;
+    return finish(forwardCookies(res, loginError(request, problem)));
+  }
+  return finish(forwardCookies(res, NextResponse.redirect(new URL(returnTo, request.url))));
+}
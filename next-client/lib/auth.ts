@@ -0,0 +1,56 @@
+import { cache } from "react";
+import { cookies } from "next/headers";
+import { NextResponse } from "next/server";
+import { ACCESS_COOKIE, API_URL } from "./config";
+
+// the signed-in user as GET /api/me returns it (server/src/routes/users.js)
+export type User = {
+  id: number;
+  email: string;
+  name: string | null;
+  avatar: string | null;
+  locale: string | null;
+  timezone: string | null;
+  preferences: Record<string, unknown>;
+  syncProfile: boolean;
+  role: "USER" | "ADMIN";
+  createdAt: string;
+};
+
+// a problem document from the backend: { code, detail, requestId }
+export type Problem = { code?: string; detail?: string; requestId?: string };
+
+// for server components and actions; null when nobody is signed in or the
+// access token is no longer accepted. One backend call per request.
+export const getCurrentUser = cache(async (): Promise<User | null> => {
+  const token = (await cookies()).get(ACCESS_COOKIE)?.value;
+  if (!token) return null;
+
+  const res = await fetch(`${API_URL}/api/me`, {
+    headers: { Authorization: `Bearer ${token}` },
+    cache: "no-store",
+  });
+  if (res.status === 401 || res.status === 403) return null;
+  if (!res.ok) throw new Error(`GET /api/me failed with ${res.status}`);
+  const { user } = (await res.json()) as { user: User };
+  return user;
+});
+
+// copy the backend's Set-Cookie headers (session cookies, cleared state) onto our
+// response. The backend scopes the access token to /api; server-rendered pages
+// need it too, so here it is widened to the whole site.
+export function forwardCookies(from: Response, to: NextResponse): NextResponse {
+  for (const cookie of from.headers.getSetCookie()) {
+    to.headers.append(
+      "set-cookie",
+      cookie.startsWith(`${ACCESS_COOKIE}=`) ? cookie.replace(/;\s*Path=\/api(?=;|$)/i, "; Path=/") : cookie,
+    );
+  }
+  return to;
+}
+
+// the browser's address for the backend's per-IP rate limits (with TRUST_PROXY set there)
+export function forwardedFor(headers: Headers): Record<string, string> {
+  const ip = headers.get("x-forwarded-for") ?? headers.get("x-real-ip");
+  return ip ? { "X-Forwarded-For": ip } : {};
+}
@@ -0,0 +1,16 @@
+// where the Express backend (server/) listens; its PORT and this have to agree
+export const API_URL = (process.env.API_URL ?? "http://localhost:5000").replace(/\/$/, "");
+
+// cookie names and paths as the backend sets them (server/src/utils/authCookies.js)
+export const ACCESS_COOKIE = "access_token";
+export const REFRESH_COOKIE = "refresh_token";
+export const STATE_COOKIE = "oauth_state";
+
+// ours, for the round trip through the provider
+export const PROVIDER_COOKIE = "oauth_provider";
+export const RETURN_TO_COOKIE = "oauth_return_to";
+
+// only paths within this app, never another origin
+export function safeReturnTo(path: string | null | undefined): string | null {
+  return path && path.startsWith("/") && !path.startsWith("//") ? path : null;
+}
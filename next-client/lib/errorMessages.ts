@@ -0,0 +1,27 @@
+// what the user sees for the backend's problem codes (and the provider's own
+// ?error= values); the same wording as the Vite client's errorMessages.js
+const MESSAGES: Record<string, string> = {
+  access_denied: "You cancelled the sign-in.",
+  missing_code: "The sign-in provider did not send an authorization code. Please try again.",
+  state_mismatch: "This sign-in was started in another tab or browser. Please start again from this page.",
+  state_expired: "The sign-in took too long or was already used. Please try again.",
+  invalid_grant: "The sign-in link has expired. Please try again.",
+  invalid_id_token: "The sign-in provider could not confirm your identity.",
+  provider_unavailable: "The sign-in provider is not responding right now. Please try again in a moment.",
+  provider_error: "The sign-in provider reported an error.",
+  unknown_provider: "This sign-in method is not available.",
+  account_disabled: "Your account has been disabled. Contact an administrator.",
+  account_deleted: "This account was deleted and can no longer be restored.",
+  forbidden_domain: "Sign-up is limited to your organisation's email domain.",
+  invite_required: "Sign-up is by invitation only.",
+  invite_invalid: "This invitation is invalid, expired or has already been used.",
+  invite_email_mismatch: "This invitation was sent to a different email address.",
+  email_unverified: "Verify your email address with the sign-in provider, then try again.",
+  rate_limited: "Too many attempts. Please wait a moment and try again.",
+  locked_out: "Too many failed sign-in attempts. Please try again later.",
+  database_unavailable: "The service is temporarily unavailable. Please try again shortly.",
+};
+
+export function errorMessage(code: string | null | undefined): string {
+  return (code && MESSAGES[code]) || "Something went wrong.";
+}
@@ -1,7 +1,12 @@
 import type { NextConfig } from "next";
+import { API_URL } from "./lib/config";
 
 const nextConfig: NextConfig = {
-  /* config options here */
+  // the Express backend answers under our own origin, so its cookies are ours;
+  // app/api/auth/renew is a route of this app and wins over the rewrite
+  async rewrites() {
+    return [{ source: "/api/:path*", destination: `${API_URL}/api/:path*` }];
+  },
 };
 
 export default nextConfig;
@@ -0,0 +1,33 @@
+import { NextResponse, type NextRequest } from "next/server";
+import { ACCESS_COOKIE } from "@/lib/config";
+
+// seconds of slack so a token doesn't expire between here and the backend
+const EXPIRY_SKEW_S = 10;
+
+// the access token's `exp`, read without verifying: this only decides where
+// to route, the backend verifies the signature on every API call
+function expiresAt(token: string): number {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return Number(JSON.parse(atob(payload)).exp) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+// route protection (Next 16 renamed middleware.ts to proxy.ts): pages need a
+// live access token, otherwise the session is renewed first, which falls
+// through to /login when there is none
+export function proxy(request: NextRequest) {
+  const token = request.cookies.get(ACCESS_COOKIE)?.value;
+  if (token && expiresAt(token) - EXPIRY_SKEW_S > Date.now() / 1000) return NextResponse.next();
+
+  const renew = new URL("/api/auth/renew", request.url);
+  renew.searchParams.set("returnTo", `${request.nextUrl.pathname}${request.nextUrl.search}`);
+  return NextResponse.redirect(renew);
+}
+
+// everything but the login flow, the API (the backend checks itself) and static files
+export const config = {
+  matcher: ["/((?!login|oauth2|api|_next/static|_next/image|favicon.ico).*)"],
+};
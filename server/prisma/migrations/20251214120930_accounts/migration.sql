@@ -0,0 +1,47 @@
+/*
+  Warnings:
+
+  - `OAuthAccount` is renamed to `Account` and keyed on (provider, providerAccountId).
+  - Google identities move from `User.googleId` into `Account` before the column is dropped.
+
+*/
+-- RenameTable
+ALTER TABLE "OAuthAccount" RENAME TO "Account";
+ALTER TABLE "Account" RENAME CONSTRAINT "OAuthAccount_pkey" TO "Account_pkey";
+ALTER TABLE "Account" RENAME CONSTRAINT "OAuthAccount_userId_fkey" TO "Account_userId_fkey";
+ALTER SEQUENCE "OAuthAccount_id_seq" RENAME TO "Account_id_seq";
+
+-- DropIndex
+DROP INDEX "OAuthAccount_userId_provider_key";
+
+-- AlterTable
+ALTER TABLE "Account" ADD COLUMN     "email" TEXT,
+ADD COLUMN     "providerAccountId" TEXT;
+
+-- Backfill Google identities
+UPDATE "Account" AS a
+SET "providerAccountId" = u."googleId", "email" = u."email"
+FROM "User" AS u
+WHERE a."userId" = u."id" AND a."provider" = 'google';
+
+INSERT INTO "Account" ("userId", "provider", "providerAccountId", "email", "updatedAt")
+SELECT u."id", 'google', u."googleId", u."email", CURRENT_TIMESTAMP
+FROM "User" AS u
+WHERE u."googleId" IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM "Account" AS a WHERE a."userId" = u."id" AND a."provider" = 'google');
+
+DELETE FROM "Account" WHERE "providerAccountId" IS NULL;
+
+ALTER TABLE "Account" ALTER COLUMN "providerAccountId" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Account_provider_providerAccountId_key" ON "Account"("provider", "providerAccountId");
+
+-- CreateIndex
+CREATE INDEX "Account_userId_idx" ON "Account"("userId");
+
+-- DropIndex
+DROP INDEX "User_googleId_key";
+
+-- AlterTable
+ALTER TABLE "User" DROP COLUMN "googleId";
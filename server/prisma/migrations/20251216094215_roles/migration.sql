@@ -0,0 +1,7 @@
+-- CreateEnum
+CREATE TYPE "Role" AS ENUM ('USER', 'ADMIN');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "disabledAt" TIMESTAMP(3),
+ADD COLUMN     "role" "Role" NOT NULL DEFAULT 'USER';
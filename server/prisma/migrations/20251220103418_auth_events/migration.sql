@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "AuthEventType" AS ENUM ('LOGIN_SUCCESS', 'LOGIN_FAILURE', 'TOKEN_REFRESH', 'TOKEN_REFRESH_FAILURE', 'LOGOUT', 'SESSION_REVOKED', 'ROLE_CHANGED');
+
+-- CreateTable
+CREATE TABLE "AuthEvent" (
+    "id" SERIAL NOT NULL,
+    "type" "AuthEventType" NOT NULL,
+    "userId" INTEGER,
+    "provider" TEXT,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "reason" TEXT,
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuthEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuthEvent_userId_createdAt_idx" ON "AuthEvent"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuthEvent_type_createdAt_idx" ON "AuthEvent"("type", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuthEvent_createdAt_idx" ON "AuthEvent"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "AuthEvent" ADD CONSTRAINT "AuthEvent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "locale" TEXT,
+ADD COLUMN     "preferences" JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN     "syncProfile" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "timezone" TEXT;
+
+-- CreateTable
+CREATE TABLE "Avatar" (
+    "userId" INTEGER NOT NULL,
+    "sourceUrl" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "data" BYTEA NOT NULL,
+    "etag" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Avatar_pkey" PRIMARY KEY ("userId")
+);
+
+-- AddForeignKey
+ALTER TABLE "Avatar" ADD CONSTRAINT "Avatar_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "AuthEventType" ADD VALUE 'DATA_EXPORTED';
+ALTER TYPE "AuthEventType" ADD VALUE 'ACCOUNT_DELETED';
+ALTER TYPE "AuthEventType" ADD VALUE 'ACCOUNT_RESTORED';
+ALTER TYPE "AuthEventType" ADD VALUE 'ACCOUNT_PURGED';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "purgeAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "User_purgeAt_idx" ON "User"("purgeAt");
@@ -0,0 +1,68 @@
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const requireAuth = require("./middleware/requireAuth");
+const authorize = require("./middleware/authorize");
+const requestId = require("./middleware/requestId");
+const { errorHandler, notFound } = require("./middleware/errorHandler");
+const authRouter = require("./routes/auth");
+const sessionsRouter = require("./routes/sessions");
+const accountsRouter = require("./routes/accounts");
+const adminRouter = require("./routes/admin");
+const auditRouter = require("./routes/audit");
+const usersRouter = require("./routes/users");
+const { profileJson } = require("./routes/users");
+const avatarsRouter = require("./routes/avatars");
+const { buildRegistry, listProviders } = require("./providers");
+const { buildRouteConfig, createStore, createRateLimits } = require("./rateLimit");
+const { getConfig, setConfig } = require("./config");
+
+// builds the Express app without listening, so tests and scripts can run it
+// against their own database and identity provider:
+//   prisma        PrismaClient (or anything with the same model delegates)
+//   googleClient  replaces the Google provider, same shape as providers/google.js
+//   config        loadConfig() result, loaded from process.env by default; it
+//                 becomes the config every module reads through getConfig()
+function createApp({ prisma, googleClient, config = getConfig() }) {
+    setConfig(config);
+    const providers = buildRegistry(config.providers, { google: googleClient });
+    const rateLimits = createRateLimits({
+        ...buildRouteConfig(config.rateLimit),
+        store: createStore(config.rateLimit, { prisma }),
+    });
+
+    const app = express();
+    // behind a reverse proxy req.ip (and so the per-IP rate limits) needs this, e.g. TRUST_PROXY=1
+    if (config.trustProxy) app.set("trust proxy", config.trustProxy);
+    app.use(requestId());
+    app.use(express.json());
+    app.use(cookieParser());
+
+    const auth = requireAuth(prisma);
+
+    // bootstrap for clients: who is signed in and when their access token runs out
+    app.get("/api/me", auth, (req, res) => {
+        res.json({ user: profileJson(req.user), expiresAt: req.tokenExpiresAt });
+    });
+
+    // public bootstrap for the login page, so clients don't hardcode provider ids or URLs
+    app.get("/api/config", (req, res) => {
+        res.json({
+            providers: listProviders(providers),
+            signupPolicy: config.signup.policy,
+        });
+    });
+
+    app.use("/api/auth", authRouter(prisma, { providers, rateLimits }));
+    app.use("/api/users", auth, usersRouter(prisma, { rateLimits }));
+    app.use("/api/avatars", auth, avatarsRouter(prisma));
+    app.use("/api/sessions", auth, sessionsRouter(prisma));
+    app.use("/api/accounts", auth, accountsRouter(prisma));
+    app.use("/api/admin/audit", auth, authorize("admin"), auditRouter(prisma));
+    app.use("/api/admin", auth, authorize("admin"), adminRouter(prisma));
+    app.use("/api", notFound());
+    app.use(errorHandler());
+
+    return app;
+}
+
+module.exports = createApp;
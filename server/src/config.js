@@ -0,0 +1,275 @@
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+const { z } = require("zod");
+
+// APP_ENV (or NODE_ENV) picks the profile; each profile only supplies
+// defaults, anything set in the environment wins
+const PROFILES = {
+    development: {
+        PORT: "5000",
+        CLIENT_URL: "http://localhost:3000",
+    },
+    test: {
+        PORT: "0",
+        CLIENT_URL: "http://localhost:3000",
+        // tests log in over and over from one IP
+        RATE_LIMIT_DISABLED: "true",
+    },
+    production: {
+        PORT: "5000",
+    },
+};
+const PROFILE_ALIASES = { dev: "development", prod: "production" };
+
+const SIGNUP_POLICIES = ["open", "domain", "invite"];
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+        this.name = "ConfigError";
+        this.problems = problems;
+    }
+}
+
+const csv = (value) => (value || "").split(",").map((v) => v.trim().toLowerCase()).filter(Boolean);
+const optional = z.string().trim().min(1).optional().catch(undefined);
+const url = z.url({ error: "must be a URL" });
+
+const envSchema = z.object({
+    PORT: z.coerce.number({ error: "must be a number" }).int().min(0).max(65535),
+    CLIENT_URL: url,
+    TRUST_PROXY: optional,
+    DATABASE_URL: optional,
+
+    JWT_SECRET: z.string({ error: "is required" }).min(1, "is required"),
+    ACCESS_TOKEN_TTL: z.string().regex(/^\d+[smhd]?$/, "must look like 15m, 1h or 900").default("15m"),
+    REFRESH_TOKEN_TTL_DAYS: z.coerce.number({ error: "must be a number" }).int().positive().default(30),
+    TOKEN_ENCRYPTION_KEY: z.string({ error: "is required" })
+        .refine((v) => Buffer.from(v, "base64").length === 32, "must be 32 bytes, base64 encoded"),
+
+    GOOGLE_CLIENT_ID: optional,
+    GOOGLE_CLIENT_SECRET: optional,
+    GOOGLE_REDIRECT_URI: url.optional(),
+    GOOGLE_TOKEN_URL: url.optional(),
+    GOOGLE_JWKS_FILE: optional,
+    GITHUB_CLIENT_ID: optional,
+    GITHUB_CLIENT_SECRET: optional,
+    GITHUB_REDIRECT_URI: url.optional(),
+    MICROSOFT_CLIENT_ID: optional,
+    MICROSOFT_CLIENT_SECRET: optional,
+    MICROSOFT_REDIRECT_URI: url.optional(),
+    MICROSOFT_TENANT_ID: z.string().default("common"),
+    MICROSOFT_TRUSTED_TENANTS: optional,
+    OIDC_ISSUER: url.optional(),
+    OIDC_CLIENT_ID: optional,
+    OIDC_CLIENT_SECRET: optional,
+    OIDC_REDIRECT_URI: url.optional(),
+    OIDC_PROVIDER_ID: z.string().regex(/^[a-z0-9-]+$/, "must be lowercase letters, digits and dashes").default("oidc"),
+    OIDC_LABEL: z.string().default("Single sign-on"),
+    OIDC_SCOPE: optional,
+    OIDC_TRUST_EMAIL: z.enum(["true", "false"], { error: "must be true or false" }).default("false"),
+
+    ADMIN_EMAILS: optional,
+    SIGNUP_POLICY: z.enum(SIGNUP_POLICIES, { error: `must be one of ${SIGNUP_POLICIES.join(", ")}` }).default("open"),
+    SIGNUP_DOMAINS: optional,
+    SIGNUP_ALLOWED_EMAILS: optional,
+
+    AVATAR_HOSTS: optional,
+
+    ACCOUNT_DELETION_GRACE_DAYS: z.coerce.number({ error: "must be a number" }).int().min(0).default(30),
+    ACCOUNT_PURGE_INTERVAL_MINUTES: z.coerce.number({ error: "must be a number" }).int().positive().default(60),
+
+    RATE_LIMIT_STORE: z.enum(["memory", "postgres", "redis"], { error: "must be memory, postgres or redis" }).default("memory"),
+    RATE_LIMIT_DISABLED: z.enum(["true", "false"], { error: "must be true or false" }).default("false"),
+    RATE_LIMITS: optional,
+    REDIS_URL: optional,
+});
+
+// a provider is enabled by its client id, and then needs the rest of its settings
+const PROVIDER_SETTINGS = {
+    google: ["GOOGLE_CLIENT_ID", "GOOGLE_CLIENT_SECRET", "GOOGLE_REDIRECT_URI"],
+    github: ["GITHUB_CLIENT_ID", "GITHUB_CLIENT_SECRET", "GITHUB_REDIRECT_URI"],
+    microsoft: ["MICROSOFT_CLIENT_ID", "MICROSOFT_CLIENT_SECRET", "MICROSOFT_REDIRECT_URI"],
+    oidc: ["OIDC_CLIENT_ID", "OIDC_ISSUER", "OIDC_REDIRECT_URI"],
+};
+
+function profileOf(env) {
+    const name = (env.APP_ENV || env.NODE_ENV || "development").toLowerCase();
+    const profile = PROFILE_ALIASES[name] || name;
+    if (!PROFILES[profile]) {
+        throw new ConfigError([`APP_ENV: unknown profile "${name}", use ${Object.keys(PROFILES).join(", ")}`]);
+    }
+    return profile;
+}
+
+// .env.<profile> first, then .env; neither overrides what is already set
+function loadEnvFiles(dir, env = process.env) {
+    const profile = profileOf(env);
+    for (const file of [`.env.${profile}`, ".env"]) {
+        const full = path.join(dir, file);
+        if (fs.existsSync(full)) dotenv.config({ path: full, processEnv: env, quiet: true });
+    }
+}
+
+function crossChecks(profile, e) {
+    const problems = [];
+    for (const [id, [enabler, ...required]] of Object.entries(PROVIDER_SETTINGS)) {
+        if (!e[enabler]) continue;
+        for (const key of required) {
+            if (!e[key]) problems.push(`${key}: is required when ${enabler} is set (${id} sign-in)`);
+        }
+    }
+    if (profile === "production") {
+        if (!Object.values(PROVIDER_SETTINGS).some(([enabler]) => e[enabler])) {
+            problems.push("no sign-in provider is configured, set at least GOOGLE_CLIENT_ID and friends");
+        }
+        if (e.JWT_SECRET && e.JWT_SECRET.length < 32) problems.push("JWT_SECRET: must be at least 32 characters in production");
+        if (!e.DATABASE_URL) problems.push("DATABASE_URL: is required");
+    }
+    if (e.SIGNUP_POLICY === "domain" && !e.SIGNUP_DOMAINS) {
+        problems.push("SIGNUP_DOMAINS: is required when SIGNUP_POLICY=domain");
+    }
+    if (e.RATE_LIMIT_STORE === "redis" && !e.REDIS_URL) problems.push("REDIS_URL: is required when RATE_LIMIT_STORE=redis");
+    return problems;
+}
+
+function parseJson(name, value, problems) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        problems.push(`${name}: is not valid JSON (${error.message})`);
+        return {};
+    }
+}
+
+// validates the environment and returns the typed, frozen settings; every
+// problem is reported at once in a ConfigError so startup fails with a list
+function loadConfig(env = process.env) {
+    const profile = profileOf(env);
+    const raw = { ...PROFILES[profile], ...env };
+    const result = envSchema.safeParse(raw);
+    const problems = result.success ? [] : result.error.issues.map((i) => `${i.path.join(".")}: ${i.message}`);
+    // the cross checks only look at presence, so the raw values do when the schema failed
+    const e = result.success ? result.data : raw;
+    problems.push(...crossChecks(profile, e));
+    const rateLimitOverrides = parseJson("RATE_LIMITS", e.RATE_LIMITS, problems);
+    if (problems.length) throw new ConfigError(problems);
+
+    const trustProxy = e.TRUST_PROXY && /^\d+$/.test(e.TRUST_PROXY) ? Number(e.TRUST_PROXY) : e.TRUST_PROXY;
+    return deepFreeze({
+        profile,
+        port: e.PORT,
+        clientUrl: e.CLIENT_URL.replace(/\/$/, ""),
+        trustProxy,
+        databaseUrl: e.DATABASE_URL,
+        cookies: { secure: profile === "production" },
+        jwt: {
+            secret: e.JWT_SECRET,
+            accessTokenTtl: /^\d+$/.test(e.ACCESS_TOKEN_TTL) ? Number(e.ACCESS_TOKEN_TTL) : e.ACCESS_TOKEN_TTL,
+            refreshTokenTtlDays: e.REFRESH_TOKEN_TTL_DAYS,
+        },
+        tokenEncryptionKey: e.TOKEN_ENCRYPTION_KEY,
+        providers: {
+            google: e.GOOGLE_CLIENT_ID ? {
+                clientId: e.GOOGLE_CLIENT_ID,
+                clientSecret: e.GOOGLE_CLIENT_SECRET,
+                redirectUri: e.GOOGLE_REDIRECT_URI,
+                tokenUrl: e.GOOGLE_TOKEN_URL,
+                jwksFile: e.GOOGLE_JWKS_FILE,
+            } : null,
+            github: e.GITHUB_CLIENT_ID ? {
+                clientId: e.GITHUB_CLIENT_ID,
+                clientSecret: e.GITHUB_CLIENT_SECRET,
+                redirectUri: e.GITHUB_REDIRECT_URI,
+            } : null,
+            microsoft: e.MICROSOFT_CLIENT_ID ? {
+                clientId: e.MICROSOFT_CLIENT_ID,
+                clientSecret: e.MICROSOFT_CLIENT_SECRET,
+                redirectUri: e.MICROSOFT_REDIRECT_URI,
+                tenant: e.MICROSOFT_TENANT_ID,
+                trustedTenants: csv(e.MICROSOFT_TRUSTED_TENANTS),
+            } : null,
+            oidc: e.OIDC_CLIENT_ID ? {
+                id: e.OIDC_PROVIDER_ID,
+                label: e.OIDC_LABEL,
+                issuer: e.OIDC_ISSUER,
+                clientId: e.OIDC_CLIENT_ID,
+                clientSecret: e.OIDC_CLIENT_SECRET,
+                redirectUri: e.OIDC_REDIRECT_URI,
+                scope: e.OIDC_SCOPE,
+                trustEmail: e.OIDC_TRUST_EMAIL === "true",
+            } : null,
+        },
+        adminEmails: csv(e.ADMIN_EMAILS),
+        signup: {
+            policy: e.SIGNUP_POLICY,
+            domains: csv(e.SIGNUP_DOMAINS),
+            allowedEmails: csv(e.SIGNUP_ALLOWED_EMAILS),
+        },
+        avatars: {
+            hosts: csv(e.AVATAR_HOSTS),
+        },
+        accountDeletion: {
+            graceDays: e.ACCOUNT_DELETION_GRACE_DAYS,
+            purgeIntervalMinutes: e.ACCOUNT_PURGE_INTERVAL_MINUTES,
+        },
+        rateLimit: {
+            store: e.RATE_LIMIT_STORE,
+            redisUrl: e.REDIS_URL,
+            disabled: e.RATE_LIMIT_DISABLED === "true",
+            overrides: rateLimitOverrides,
+        },
+    });
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === "object") {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+const SECRET_KEY = /secret|encryptionKey/i;
+
+function redactUrl(value) {
+    try {
+        const u = new URL(value);
+        if (!u.password) return value;
+        u.password = "***";
+        return u.toString();
+    } catch {
+        return "***";
+    }
+}
+
+// a copy that is safe to log: secrets masked, credentials stripped from URLs
+function redactConfig(value) {
+    if (Array.isArray(value)) return value.map(redactConfig);
+    if (!value || typeof value !== "object") return value;
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+        if (v == null) out[key] = v;
+        else if (SECRET_KEY.test(key)) out[key] = "***";
+        else if (/url$/i.test(key) && typeof v === "string") out[key] = redactUrl(v);
+        else out[key] = redactConfig(v);
+    }
+    return out;
+}
+
+// the settings the rest of the server reads; createApp() installs its own,
+// everything else falls back to the process environment on first use
+let active = null;
+
+function setConfig(config) {
+    active = config;
+}
+
+function getConfig() {
+    if (!active) active = loadConfig();
+    return active;
+}
+
+module.exports = { ConfigError, loadEnvFiles, loadConfig, redactConfig, setConfig, getConfig };
@@ -0,0 +1,196 @@
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const CODE_TTL_MS = 60 * 1000;
+const ACCESS_TOKEN_TTL_S = 3600;
+
+const DEFAULT_USERS = [
+    { sub: "fake-alice", email: "alice@example.com", email_verified: true, name: "Alice Example" },
+    { sub: "fake-bob", email: "bob@example.com", email_verified: true, name: "Bob Example" },
+];
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function randomToken() {
+    return crypto.randomBytes(24).toString("base64url");
+}
+
+// a local OpenID Connect provider for development and tests: discovery,
+// authorize (auto-approves), token (authorization_code with PKCE and
+// refresh_token), JWKS and userinfo. Everything lives in memory.
+//
+//   issuer        its own base URL, ends up in `iss`
+//   clients       { [clientId]: clientSecret }; empty accepts any client
+//   users         the identities it can sign in, picked on the authorize page
+//                 or with ?login_hint=<sub or email>
+function createFakeOidcProvider({ issuer, clients = {}, users = DEFAULT_USERS } = {}) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const kid = randomToken();
+    const codes = new Map();
+    const accessTokens = new Map();
+    const refreshTokens = new Map();
+
+    const findUser = (hint) => users.find((u) => u.sub === hint || u.email === hint);
+
+    function checkClient(clientId, clientSecret) {
+        if (!Object.keys(clients).length) return Boolean(clientId);
+        return clientId in clients && (!clients[clientId] || clients[clientId] === clientSecret);
+    }
+
+    function issueTokens({ user, clientId, nonce, scope }) {
+        const accessToken = randomToken();
+        accessTokens.set(accessToken, { user, expiresAt: Date.now() + ACCESS_TOKEN_TTL_S * 1000 });
+        const refreshToken = randomToken();
+        refreshTokens.set(refreshToken, { user, clientId, scope });
+
+        const { sub, ...claims } = user;
+        const idToken = jwt.sign({ ...claims, ...(nonce ? { nonce } : {}) }, privateKey, {
+            algorithm: "RS256",
+            keyid: kid,
+            issuer,
+            audience: clientId,
+            subject: sub,
+            expiresIn: ACCESS_TOKEN_TTL_S,
+        });
+        return {
+            access_token: accessToken,
+            token_type: "Bearer",
+            expires_in: ACCESS_TOKEN_TTL_S,
+            refresh_token: refreshToken,
+            id_token: idToken,
+            scope,
+        };
+    }
+
+    const tokenError = (res, error, description) => res.status(400).json({ error, error_description: description });
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.json());
+
+    app.get("/.well-known/openid-configuration", (req, res) => {
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            userinfo_endpoint: `${issuer}/userinfo`,
+            response_types_supported: ["code"],
+            subject_types_supported: ["public"],
+            id_token_signing_alg_values_supported: ["RS256"],
+            code_challenge_methods_supported: ["S256"],
+            grant_types_supported: ["authorization_code", "refresh_token"],
+        });
+    });
+
+    app.get("/jwks", (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" }] });
+    });
+
+    // no consent screen: a user picker, or straight back with ?login_hint
+    app.get("/authorize", (req, res) => {
+        const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, scope } = req.query;
+        if (!client_id || !redirect_uri) return res.status(400).send("client_id and redirect_uri are required");
+        if (Object.keys(clients).length && !(client_id in clients)) return res.status(400).send("Unknown client");
+
+        const back = new URL(redirect_uri);
+        if (req.query.deny) {
+            back.searchParams.set("error", "access_denied");
+            if (state) back.searchParams.set("state", state);
+            return res.redirect(back.toString());
+        }
+
+        const user = findUser(req.query.login_hint);
+        if (!user) {
+            const links = users.map((u) => {
+                const query = new URLSearchParams({ ...req.query, login_hint: u.sub });
+                return `<li><a href="?${query}">${escapeHtml(`${u.name} <${u.email}>`)}</a></li>`;
+            });
+            const deny = new URLSearchParams({ ...req.query, deny: "1" });
+            return res.send(`<h1>Fake identity provider</h1><ul>${links.join("")}</ul><a href="?${deny}">Cancel</a>`);
+        }
+
+        const code = randomToken();
+        codes.set(code, {
+            user,
+            clientId: client_id,
+            redirectUri: redirect_uri,
+            nonce,
+            scope: scope || "openid email profile",
+            codeChallenge: code_challenge_method === "S256" ? code_challenge : null,
+            expiresAt: Date.now() + CODE_TTL_MS,
+        });
+        back.searchParams.set("code", code);
+        if (state) back.searchParams.set("state", state);
+        res.redirect(back.toString());
+    });
+
+    app.post("/token", (req, res) => {
+        const body = req.body || {};
+        if (!checkClient(body.client_id, body.client_secret)) return res.status(401).json({ error: "invalid_client" });
+
+        if (body.grant_type === "authorization_code") {
+            const grant = codes.get(body.code);
+            codes.delete(body.code); // one use, like the real thing
+            if (!grant || grant.expiresAt < Date.now()) return tokenError(res, "invalid_grant", "Unknown or expired code");
+            if (grant.clientId !== body.client_id || grant.redirectUri !== body.redirect_uri) {
+                return tokenError(res, "invalid_grant", "Code was issued to another client or redirect_uri");
+            }
+            if (grant.codeChallenge) {
+                const challenge = crypto.createHash("sha256").update(body.code_verifier || "").digest("base64url");
+                if (challenge !== grant.codeChallenge) return tokenError(res, "invalid_grant", "PKCE verification failed");
+            }
+            return res.json(issueTokens({ user: grant.user, clientId: grant.clientId, nonce: grant.nonce, scope: grant.scope }));
+        }
+
+        if (body.grant_type === "refresh_token") {
+            const grant = refreshTokens.get(body.refresh_token);
+            if (!grant || grant.clientId !== body.client_id) return tokenError(res, "invalid_grant", "Unknown refresh token");
+            const { refresh_token, ...tokens } = issueTokens(grant);
+            refreshTokens.delete(refresh_token); // the old refresh token stays valid, like Google's
+            return res.json(tokens);
+        }
+
+        tokenError(res, "unsupported_grant_type", `Unsupported grant_type ${body.grant_type}`);
+    });
+
+    app.get("/userinfo", (req, res) => {
+        const token = (req.get("authorization") || "").replace(/^Bearer /, "");
+        const entry = accessTokens.get(token);
+        if (!entry || entry.expiresAt < Date.now()) return res.status(401).json({ error: "invalid_token" });
+        res.json(entry.user);
+    });
+
+    return {
+        app,
+        // revoke every refresh token of a user, to try the reauth_required path
+        revokeRefreshTokens(sub) {
+            for (const [token, grant] of refreshTokens) {
+                if (grant.user.sub === sub) refreshTokens.delete(token);
+            }
+        },
+    };
+}
+
+// endpoints for createGoogleProvider({ endpoints }) so the Google flow runs against the fake
+function googleEndpoints(issuer) {
+    return {
+        authUrl: `${issuer}/authorize`,
+        tokenUrl: `${issuer}/token`,
+        jwksUri: `${issuer}/jwks`,
+        issuer,
+    };
+}
+
+// `npm run fake-idp` serves it on FAKE_IDP_PORT (5556); point the generic OIDC
+// provider at it with OIDC_ISSUER=http://localhost:5556 and any OIDC_CLIENT_ID
+if (require.main === module) {
+    const port = Number(process.env.FAKE_IDP_PORT) || 5556;
+    const { app } = createFakeOidcProvider({ issuer: `http://localhost:${port}` });
+    app.listen(port, () => console.log(`fake OIDC provider at http://localhost:${port}`));
+}
+
+module.exports = { createFakeOidcProvider, googleEndpoints, DEFAULT_USERS };
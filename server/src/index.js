@@ -1,65 +1,27 @@
-const express = require("express");
-const axios = require("axios");
-const { PrismaClient } = require("@prisma/client");
-const dotenv = require("dotenv");
-
 const path = require("path");
-dotenv.config({ path: path.join(__dirname, "../.env") });
+const { loadEnvFiles, loadConfig, redactConfig, ConfigError } = require("./config");
+
+let config;
+try {
+    // .env.<profile> and .env fill in whatever the environment doesn't set
+    loadEnvFiles(path.join(__dirname, ".."));
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    // fail fast with every problem listed instead of on the first request that needs a setting
+    console.error(error.message);
+    process.exit(1);
+}
+console.log(`config (${config.profile}):`, JSON.stringify(redactConfig(config), null, 2));
 
-const app = express();
-app.use(express.json());
+const { PrismaClient } = require("@prisma/client");
+const createApp = require("./app");
+const { schedulePurge } = require("./utils/accountDeletion");
 
 const prisma = new PrismaClient();
-const CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
-const CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
-const REDIRECT_URI = process.env.GOOGLE_REDIRECT_URI;
-
-
-// google oauth route
-app.post("/api/auth/google", async (req, res) => {
-    try {
-        const { code } = req.body;
-
-        // 1. Exchange code for tokens at Google
-        const tokenResponse = await axios.post('https://oauth2.googleapis.com/token', null, {
-            params: {
-                code: code,
-                client_id: CLIENT_ID,
-                client_secret: CLIENT_SECRET,
-                redirect_uri: REDIRECT_URI,
-                grant_type: 'authorization_code',
-            },
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            }
-        });
-
-
-        const { access_token, id_token } = tokenResponse.data;
-
-        // 2. Use the access token to get user info from Google
-        const userInfoResponse = await axios.get(
-            `https://www.googleapis.com/oauth2/v2/userinfo?access_token=${access_token}`,
-            { headers: { Authorization: `Bearer ${id_token}` } }
-        );
-        const { email, name, picture } = userInfoResponse.data;
-
-        // 3. Upsert the user into the database using Prisma
-        const user = await prisma.user.upsert({
-            where: { email: email },
-            update: { name: name, avatar: picture },
-            create: { email: email, name: name, avatar: picture }
-        });
-
-        // 4. Return user info and token to the client
-        res.json({ user, token: access_token });
-
-    } catch (error) {
-        console.error('Error during Google OAuth flow:', error.response?.data || error.message);
-        res.status(500).json({ error: 'Authentication failed' });
-    }
-})
+const app = createApp({ prisma, config });
 
-const PORT = 5000
+// hard-deletes accounts whose deletion grace period is over
+schedulePurge(prisma);
 
-app.listen(PORT, () => console.log(`server started at the port : ${PORT}`));
\ No newline at end of file
+const server = app.listen(config.port, () => console.log(`server started at the port : ${server.address().port}`));
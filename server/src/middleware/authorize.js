@@ -0,0 +1,14 @@
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
+
+// allows the request only for the given roles, e.g. authorize('admin');
+// runs after requireAuth, roles match the Prisma Role enum case-insensitively
+function authorize(...roles) {
+    const allowed = roles.map((r) => r.toUpperCase());
+    return (req, res, next) => {
+        if (!req.user) return next(new UnauthorizedError("Not signed in"));
+        if (!allowed.includes(req.user.role)) return next(new ForbiddenError("Insufficient permissions"));
+        next();
+    };
+}
+
+module.exports = authorize;
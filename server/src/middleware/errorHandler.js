@@ -0,0 +1,53 @@
+const http = require("http");
+const { ApiError, NotFoundError, ServiceUnavailableError, ValidationError } = require("../utils/errors");
+
+// errors that don't come from our own code, mapped onto ApiErrors
+function normalize(error) {
+    if (error instanceof ApiError) return error;
+    // express.json() on a malformed or oversized body
+    if (error.type === "entity.parse.failed") return new ValidationError("Request body is not valid JSON", [], "invalid_json");
+    if (error.type === "entity.too.large") return new ApiError("Request body is too large", { status: 413, code: "payload_too_large" });
+    // Prisma can't reach the database: no connection at start-up or P1001-style codes later
+    if (error.name === "PrismaClientInitializationError"
+        || (error.name === "PrismaClientKnownRequestError" && /^P10\d\d$/.test(error.code))) {
+        return new ServiceUnavailableError("The database is unavailable", "database_unavailable", error);
+    }
+    return new ApiError("Internal server error", { cause: error });
+}
+
+// every failure leaves as an RFC 9457 problem document:
+// { type, title, status, code, detail, requestId, errors? }
+function problem(error, req) {
+    const body = {
+        type: "about:blank",
+        title: http.STATUS_CODES[error.status] || "Error",
+        status: error.status,
+        code: error.code,
+        detail: error.message,
+        requestId: req.id,
+    };
+    if (error.errors?.length) body.errors = error.errors;
+    return body;
+}
+
+// unknown /api routes answer in the same format instead of Express's HTML page
+function notFound() {
+    return (req, res, next) => next(new NotFoundError(`No route for ${req.method} ${req.baseUrl}${req.path}`));
+}
+
+function errorHandler() {
+    // Express recognises an error handler by its four parameters, `next` included
+    return (err, req, res, next) => {
+        const error = normalize(err);
+        if (error.status >= 500) {
+            console.error(`[${req.id}] ${req.method} ${req.originalUrl}:`, error.cause || error);
+        }
+        // a streamed export can fail after the headers are out; all we can do is cut it off
+        if (res.headersSent) return res.destroy();
+
+        if (error.retryAfterMs) res.set("Retry-After", String(Math.max(1, Math.ceil(error.retryAfterMs / 1000))));
+        res.status(error.status).type("application/problem+json").json(problem(error, req));
+    };
+}
+
+module.exports = { errorHandler, notFound };
@@ -0,0 +1,16 @@
+const crypto = require("crypto");
+
+// a proxy's X-Request-Id is kept when it looks sane, so logs line up end to end
+const INCOMING_ID = /^[\w.:-]{8,128}$/;
+
+// tags every request with req.id and echoes it back in X-Request-Id
+function requestId() {
+    return (req, res, next) => {
+        const incoming = req.get("x-request-id");
+        req.id = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+        res.set("X-Request-Id", req.id);
+        next();
+    };
+}
+
+module.exports = requestId;
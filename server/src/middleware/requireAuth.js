@@ -0,0 +1,51 @@
+const { verifyAccessToken } = require("../utils/tokens");
+const { AccountDisabledError } = require("../utils/roles");
+const { UnauthorizedError } = require("../utils/errors");
+const { touchSession } = require("../utils/sessions");
+const { ACCESS_COOKIE } = require("../utils/authCookies");
+
+// browsers send the httpOnly cookie, other clients a Bearer header
+function readAccessToken(req) {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    if (scheme === "Bearer" && token) return token;
+    return req.cookies?.[ACCESS_COOKIE] || null;
+}
+
+// resolves the caller from the access token into req.user
+// and req.session; tokens of a revoked session are refused even before they expire
+function requireAuth(prisma) {
+    return async (req, res, next) => {
+        try {
+            const token = readAccessToken(req);
+            if (!token) throw new UnauthorizedError("Missing access token");
+
+            // expired, forged or pre-session tokens all answer invalid_token
+            let payload;
+            try {
+                payload = verifyAccessToken(token);
+            } catch {
+                payload = null;
+            }
+            if (!payload?.sid) throw new UnauthorizedError("Invalid or expired access token", "invalid_token");
+
+            const session = await prisma.session.findUnique({
+                where: { id: payload.sid },
+                include: { user: true },
+            });
+            if (!session || session.revokedAt || String(session.userId) !== payload.sub) {
+                throw new UnauthorizedError("Session has been revoked", "session_revoked");
+            }
+            if (session.user.disabledAt) throw new AccountDisabledError();
+            await touchSession(prisma, session);
+            req.user = session.user;
+            req.session = session;
+            req.tokenExpiresAt = new Date(payload.exp * 1000);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = requireAuth;
+module.exports.readAccessToken = readAccessToken;
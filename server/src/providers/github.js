@@ -0,0 +1,55 @@
+const axios = require("axios");
+const { exchangeCode, buildAuthorizationUrl, providerFailure } = require("./oauth2");
+
+const GITHUB_AUTH_URL = "https://github.com/login/oauth/authorize";
+const GITHUB_TOKEN_URL = "https://github.com/login/oauth/access_token";
+const GITHUB_API_URL = "https://api.github.com";
+
+// plain OAuth2, no id_token: the profile comes from the REST API
+function createGithubProvider({ clientId, clientSecret, redirectUri }) {
+    return {
+        id: "github",
+        label: "GitHub",
+        redirectUri,
+
+        async authorizationUrl({ state, codeChallenge }) {
+            return buildAuthorizationUrl(GITHUB_AUTH_URL, {
+                client_id: clientId,
+                redirect_uri: redirectUri,
+                scope: "read:user user:email",
+                state,
+                code_challenge: codeChallenge,
+                code_challenge_method: "S256",
+            });
+        },
+
+        exchangeCode({ code, codeVerifier }) {
+            return exchangeCode({ tokenUrl: GITHUB_TOKEN_URL, clientId, clientSecret, redirectUri, code, codeVerifier });
+        },
+
+        async fetchProfile(tokens) {
+            const headers = {
+                Authorization: `Bearer ${tokens.access_token}`,
+                Accept: "application/vnd.github+json",
+            };
+            try {
+                const [{ data: user }, { data: emails }] = await Promise.all([
+                    axios.get(`${GITHUB_API_URL}/user`, { headers }),
+                    axios.get(`${GITHUB_API_URL}/user/emails`, { headers }),
+                ]);
+                const primary = emails.find((e) => e.primary && e.verified) || emails.find((e) => e.verified);
+                return {
+                    providerAccountId: String(user.id),
+                    email: primary ? primary.email : user.email,
+                    emailVerified: Boolean(primary),
+                    name: user.name || user.login,
+                    picture: user.avatar_url,
+                };
+            } catch (error) {
+                throw providerFailure("Could not load the GitHub profile", error);
+            }
+        },
+    };
+}
+
+module.exports = createGithubProvider;
@@ -0,0 +1,70 @@
+const { createKeyStore, verifyIdToken, IdTokenError } = require("../utils/idToken");
+const { exchangeCode, refreshGrant, buildAuthorizationUrl } = require("./oauth2");
+
+const GOOGLE_ENDPOINTS = {
+    authUrl: "https://accounts.google.com/o/oauth2/v2/auth",
+    tokenUrl: "https://oauth2.googleapis.com/token",
+    jwksUri: "https://www.googleapis.com/oauth2/v3/certs",
+    issuer: ["https://accounts.google.com", "accounts.google.com"],
+};
+
+// `endpoints` replaces any of GOOGLE_ENDPOINTS, e.g. with the fake provider in
+// src/dev; `jwksFile` is a saved copy of the certs so the keys load offline
+function createGoogleProvider({ clientId, clientSecret, redirectUri, endpoints = {}, jwksFile }) {
+    const { authUrl, tokenUrl, jwksUri, issuer } = { ...GOOGLE_ENDPOINTS, ...endpoints };
+    const keyStore = createKeyStore({ jwksUri, jwksFile });
+
+    return {
+        id: "google",
+        label: "Google",
+        redirectUri,
+
+        async authorizationUrl({ state, nonce, codeChallenge }) {
+            return buildAuthorizationUrl(authUrl, {
+                client_id: clientId,
+                redirect_uri: redirectUri,
+                response_type: "code",
+                scope: "openid email profile",
+                access_type: "offline",
+                prompt: "consent",
+                state,
+                nonce,
+                code_challenge: codeChallenge,
+                code_challenge_method: "S256",
+            });
+        },
+
+        exchangeCode({ code, codeVerifier }) {
+            return exchangeCode({ tokenUrl, clientId, clientSecret, redirectUri, code, codeVerifier });
+        },
+
+        // used by utils/googleTokens to keep the stored access token fresh
+        refreshTokens(refreshToken) {
+            return refreshGrant({ tokenUrl, clientId, clientSecret, refreshToken });
+        },
+
+        // the profile comes from the verified id_token, no userinfo round trip
+        async fetchProfile(tokens, { nonce }) {
+            const claims = await verifyIdToken(tokens.id_token, {
+                keyStore,
+                issuer,
+                audience: clientId,
+                nonce,
+            });
+            if (claims.email_verified !== true && claims.email_verified !== "true") {
+                throw new IdTokenError("Google account email is not verified");
+            }
+            return {
+                providerAccountId: claims.sub,
+                email: claims.email,
+                emailVerified: true,
+                name: claims.name,
+                picture: claims.picture,
+                // Workspace domain, absent for consumer accounts
+                hostedDomain: claims.hd,
+            };
+        },
+    };
+}
+
+module.exports = createGoogleProvider;
@@ -0,0 +1,36 @@
+const createGoogleProvider = require("./google");
+const createGithubProvider = require("./github");
+const createMicrosoftProvider = require("./microsoft");
+const createOidcProvider = require("./oidc");
+
+// `settings` is config.providers from src/config.js, a provider is enabled when
+// its entry is set; `google` replaces the Google provider built from config
+// (tests, the fake provider in src/dev)
+function buildRegistry(settings, { google } = {}) {
+    const providers = new Map();
+    const add = (provider) => providers.set(provider.id, provider);
+
+    if (google) {
+        add(google);
+    } else if (settings.google) {
+        const { tokenUrl, ...options } = settings.google;
+        add(createGoogleProvider({ ...options, endpoints: tokenUrl ? { tokenUrl } : {} }));
+    }
+    if (settings.github) add(createGithubProvider(settings.github));
+    if (settings.microsoft) add(createMicrosoftProvider(settings.microsoft));
+    // any other issuer through discovery, e.g. Okta, Auth0 or Keycloak
+    if (settings.oidc) add(createOidcProvider(settings.oidc));
+    return providers;
+}
+
+// what the login page may show, nothing secret
+function listProviders(registry) {
+    return [...registry.values()].map(({ id, label, redirectUri }) => ({
+        id,
+        label,
+        redirectUri,
+        startUrl: `/api/auth/${id}/start`,
+    }));
+}
+
+module.exports = { buildRegistry, listProviders };
@@ -0,0 +1,29 @@
+const createOidcProvider = require("./oidc");
+
+const AUTHORITY = "https://login.microsoftonline.com";
+
+// Entra ID; "common" and "organizations" sign users of any tenant in,
+// so the issuer is checked against the tenant named in the token.
+// Entra ID sends no email_verified: an email counts as verified when the token
+// carries xms_edov (an optional claim the app registration has to request) or
+// comes from one of `trustedTenants`, tenant ids whose admins manage the addresses.
+// `authority` points the provider elsewhere, e.g. at a local server in tests
+function createMicrosoftProvider({ clientId, clientSecret, redirectUri, tenant = "common", trustedTenants = [], authority = AUTHORITY }) {
+    const multiTenant = ["common", "organizations", "consumers"].includes(tenant);
+    const trusted = new Set(trustedTenants.map((t) => t.toLowerCase()));
+    return createOidcProvider({
+        id: "microsoft",
+        label: "Microsoft",
+        issuer: `${authority}/${tenant}/v2.0`,
+        clientId,
+        clientSecret,
+        redirectUri,
+        validateIssuer: multiTenant
+            ? (claims) => claims.iss === `${authority}/${claims.tid}/v2.0`
+            : undefined,
+        emailVerified: (claims) =>
+            [true, "true", 1, "1"].includes(claims.xms_edov) || trusted.has(String(claims.tid).toLowerCase()),
+    });
+}
+
+module.exports = createMicrosoftProvider;
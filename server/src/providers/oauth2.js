@@ -0,0 +1,75 @@
+const axios = require("axios");
+const { ApiError } = require("../utils/errors");
+
+// the identity provider said no or could not be reached; `details` is what it
+// answered, for the logs only
+class ProviderError extends ApiError {
+    constructor(message, details, { status = 502, code = "provider_error" } = {}) {
+        super(message, { status, code, details });
+        this.name = "ProviderError";
+    }
+}
+
+// classifies a failed call to a provider: a rejected code or refresh token is
+// invalid_grant, no answer or a 5xx is provider_unavailable
+function providerFailure(message, error) {
+    const body = error.response?.data;
+    if (body?.error === "invalid_grant") {
+        return new ProviderError(body.error_description || "The authorization grant is invalid or expired", body, {
+            status: 400,
+            code: "invalid_grant",
+        });
+    }
+    if (!error.response || error.response.status >= 500) {
+        return new ProviderError(message, body || error.message, { status: 503, code: "provider_unavailable" });
+    }
+    return new ProviderError(message, body || error.message);
+}
+
+// POST to a token endpoint with a form body, as RFC 6749 wants it
+async function tokenRequest(tokenUrl, params, failure) {
+    try {
+        const res = await axios.post(tokenUrl, new URLSearchParams(params), {
+            headers: { Accept: "application/json" },
+        });
+        // GitHub answers 200 with { error } for a bad code
+        if (res.data.error) {
+            // its bad_verification_code is everyone else's invalid_grant
+            const invalidGrant = ["invalid_grant", "bad_verification_code"].includes(res.data.error);
+            throw new ProviderError(res.data.error_description || res.data.error, res.data,
+                invalidGrant ? { status: 400, code: "invalid_grant" } : undefined);
+        }
+        return res.data;
+    } catch (error) {
+        if (error instanceof ProviderError) throw error;
+        throw providerFailure(failure, error);
+    }
+}
+
+// authorization_code grant against any token endpoint, PKCE verifier included
+function exchangeCode({ tokenUrl, clientId, clientSecret, redirectUri, code, codeVerifier }) {
+    return tokenRequest(tokenUrl, {
+        grant_type: "authorization_code",
+        code,
+        client_id: clientId,
+        client_secret: clientSecret,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
+    }, "Token exchange failed");
+}
+
+// new access token from a stored refresh token; a revoked one fails with invalid_grant
+function refreshGrant({ tokenUrl, clientId, clientSecret, refreshToken }) {
+    return tokenRequest(tokenUrl, {
+        grant_type: "refresh_token",
+        refresh_token: refreshToken,
+        client_id: clientId,
+        client_secret: clientSecret,
+    }, "Token refresh failed");
+}
+
+function buildAuthorizationUrl(base, params) {
+    return `${base}?${new URLSearchParams(params)}`;
+}
+
+module.exports = { ProviderError, providerFailure, exchangeCode, refreshGrant, buildAuthorizationUrl };
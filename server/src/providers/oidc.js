@@ -0,0 +1,77 @@
+const axios = require("axios");
+const { createKeyStore, verifyIdToken } = require("../utils/idToken");
+const { exchangeCode, buildAuthorizationUrl, providerFailure } = require("./oauth2");
+
+const isTrue = (value) => value === true || value === "true";
+
+// any OpenID Connect issuer, endpoints come from its discovery document.
+// `validateIssuer` replaces the exact `iss` match for multi-tenant issuers.
+// `emailVerified(claims)` decides whether the issuer vouches for the email; by
+// default only an explicit email_verified claim does, unless `trustEmail` is set
+// for an issuer that manages its users' addresses itself and omits the claim
+function createOidcProvider({
+    id, label, issuer, clientId, clientSecret, redirectUri, scope, validateIssuer, trustEmail = false,
+    emailVerified = (claims) => isTrue(claims.email_verified) || (trustEmail && claims.email_verified === undefined),
+}) {
+    let discovery = null;
+
+    function discover() {
+        if (!discovery) {
+            const url = `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+            discovery = axios.get(url)
+                .then((res) => res.data)
+                .catch((error) => {
+                    discovery = null; // retry on the next login
+                    throw providerFailure(`OIDC discovery failed for ${issuer}`, error);
+                });
+        }
+        return discovery;
+    }
+
+    const keyStore = createKeyStore({ jwksUri: async () => (await discover()).jwks_uri });
+
+    return {
+        id,
+        label,
+        redirectUri,
+
+        async authorizationUrl({ state, nonce, codeChallenge }) {
+            const { authorization_endpoint } = await discover();
+            return buildAuthorizationUrl(authorization_endpoint, {
+                client_id: clientId,
+                redirect_uri: redirectUri,
+                response_type: "code",
+                scope: scope || "openid email profile",
+                state,
+                nonce,
+                code_challenge: codeChallenge,
+                code_challenge_method: "S256",
+            });
+        },
+
+        async exchangeCode({ code, codeVerifier }) {
+            const { token_endpoint } = await discover();
+            return exchangeCode({ tokenUrl: token_endpoint, clientId, clientSecret, redirectUri, code, codeVerifier });
+        },
+
+        async fetchProfile(tokens, { nonce }) {
+            const doc = await discover();
+            const claims = await verifyIdToken(tokens.id_token, {
+                keyStore,
+                issuer: validateIssuer || doc.issuer,
+                audience: clientId,
+                nonce,
+            });
+            return {
+                providerAccountId: claims.sub,
+                // preferred_username is a login name (a UPN for Entra ID), not a mailbox
+                email: claims.email,
+                emailVerified: Boolean(claims.email) && emailVerified(claims),
+                name: claims.name,
+                picture: claims.picture,
+            };
+        },
+    };
+}
+
+module.exports = createOidcProvider;
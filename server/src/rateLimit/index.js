@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const createMemoryStore = require("./memoryStore");
+const createPostgresStore = require("./postgresStore");
+const createRedisStore = require("./redisStore");
+const { REFRESH_COOKIE } = require("../utils/authCookies");
+const { TooManyRequestsError } = require("../utils/errors");
+
+const MINUTE = 60 * 1000;
+
+// per-route limits; each entry of `limits` is a separate sliding window keyed
+// `by` the client IP, the signed-in user, the presented refresh token or the
+// account the route resolves and passes to checkAccount() (the provider account
+// on callback, the refresh token's user on refresh), so spreading attempts over
+// many IPs doesn't get around them.
+// `lockout` locks the IP out for `durationMs` after `threshold` failures
+// reported through recordFailure() within `windowMs`. It is per IP only: the
+// failures it counts (bad codes, states, id_tokens) happen before the route
+// knows whose sign-in it is, the account windows cover that side.
+const DEFAULT_ROUTES = {
+    "auth:start": {
+        limits: [{ by: "ip", windowMs: MINUTE, max: 30 }],
+    },
+    "auth:callback": {
+        limits: [
+            { by: "ip", windowMs: MINUTE, max: 10 },
+            { by: "account", windowMs: MINUTE, max: 5 },
+            { by: "account", windowMs: 60 * MINUTE, max: 30 },
+        ],
+        lockout: { threshold: 5, windowMs: 15 * MINUTE, durationMs: 15 * MINUTE },
+    },
+    "auth:refresh": {
+        limits: [
+            { by: "ip", windowMs: MINUTE, max: 60 },
+            { by: "refreshToken", windowMs: MINUTE, max: 10 },
+            { by: "account", windowMs: MINUTE, max: 30 },
+        ],
+    },
+    "auth:logout": {
+        limits: [{ by: "ip", windowMs: MINUTE, max: 30 }],
+    },
+    "auth:google-refresh": {
+        limits: [{ by: "user", windowMs: MINUTE, max: 5 }],
+    },
+    "users:export": {
+        limits: [{ by: "user", windowMs: 60 * MINUTE, max: 5 }],
+    },
+};
+
+const KEYS = {
+    ip: (req) => req.ip || null,
+    user: (req) => (req.user ? String(req.user.id) : null),
+    // hashed so raw refresh tokens never end up in Redis or the database
+    refreshToken: (req) => {
+        const token = req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE];
+        return typeof token === "string" && token ? crypto.createHash("sha256").update(token).digest("hex") : null;
+    },
+    // set by checkAccount(); unknown while the middleware itself runs
+    account: (req) => req.rateLimitAccount || null,
+};
+
+// `settings` is config.rateLimit: `overrides` (RATE_LIMITS) are merged over
+// DEFAULT_ROUTES by route name, e.g.
+// {"auth:callback":{"limits":[{"by":"ip","windowMs":60000,"max":5}]}};
+// `disabled` (RATE_LIMIT_DISABLED=true) turns everything off (local load tests)
+function buildRouteConfig({ overrides = {}, disabled = false } = {}) {
+    const routes = { ...DEFAULT_ROUTES };
+    for (const [name, config] of Object.entries(overrides)) {
+        routes[name] = { ...routes[name], ...config };
+    }
+    for (const [name, config] of Object.entries(routes)) {
+        for (const limit of config.limits || []) {
+            if (!KEYS[limit.by]) throw new Error(`Rate limit ${name}: unknown key "${limit.by}"`);
+            if (!(limit.windowMs > 0 && limit.max > 0)) {
+                throw new Error(`Rate limit ${name}: windowMs and max must be positive`);
+            }
+        }
+    }
+    return { routes, disabled };
+}
+
+// `store`: memory (default) | postgres | redis (`redisUrl`)
+function createStore({ store: kind = "memory", redisUrl } = {}, { prisma } = {}) {
+    if (kind === "memory") return createMemoryStore();
+    if (kind === "postgres") return createPostgresStore(prisma);
+    if (kind === "redis") {
+        const { createClient } = require("redis");
+        const client = createClient({ url: redisUrl });
+        client.on("error", (error) => console.error("Redis rate limit store:", error.message));
+        client.connect().catch((error) => console.error("Redis rate limit store:", error.message));
+        return createRedisStore(client);
+    }
+    throw new Error(`Unknown RATE_LIMIT_STORE ${kind}`);
+}
+
+// sliding window counter: the previous fixed window counts in proportion to how
+// much of it still overlaps the sliding window. Returns the wait in ms, 0 if allowed.
+function slidingWait({ previous, current, max, windowMs, elapsed }) {
+    const weight = (windowMs - elapsed) / windowMs;
+    if (previous * weight + current + 1 <= max) return 0;
+
+    // over the limit within this window alone: wait for the next one, until
+    // this window's share has decayed enough
+    if (current + 1 > max) {
+        const decay = current > 0 ? windowMs * (1 - (max - 1) / current) : 0;
+        return windowMs - elapsed + Math.max(0, decay);
+    }
+    // otherwise until the previous window's share has decayed enough
+    const needed = windowMs * (1 - (max - 1 - current) / previous);
+    return Math.max(1, needed - elapsed);
+}
+
+// returns limit(name) -> middleware; the middleware also carries
+// recordFailure(req) / reset(req) for routes with a lockout
+function createRateLimits({ store, routes = DEFAULT_ROUTES, disabled = false, now = Date.now }) {
+    function limit(name) {
+        const config = routes[name];
+        if (!config) throw new Error(`No rate limit configured for ${name}`);
+        const { limits = [], lockout } = config;
+
+        const lockKey = (ip) => `${name}:lock:ip:${ip}`;
+        const failKey = (ip, window) => `${name}:fail:ip:${ip}:${window}`;
+
+        // `kind` "ip" runs every window except the account ones, "account" only those
+        async function check(req, kind) {
+            const t = now();
+
+            if (lockout && kind === "ip" && req.ip) {
+                const until = await store.get(lockKey(req.ip));
+                if (until > t) return { waitMs: until - t, locked: true };
+            }
+
+            const windows = [];
+            let waitMs = 0;
+            for (const { by, windowMs, max } of limits) {
+                if ((by === "account") !== (kind === "account")) continue;
+                const id = KEYS[by](req);
+                if (!id) continue;
+                const index = Math.floor(t / windowMs);
+                const key = `${name}:${by}:${id}:`;
+                const [previous, current] = await Promise.all([
+                    store.get(key + (index - 1)),
+                    store.get(key + index),
+                ]);
+                waitMs = Math.max(waitMs, slidingWait({ previous, current, max, windowMs, elapsed: t - index * windowMs }));
+                windows.push({ key: key + index, ttlMs: 2 * windowMs });
+            }
+            // only requests that get through are counted, so a client that backs
+            // off for Retry-After is let in again. Concurrent requests across
+            // instances may overshoot `max` by a few.
+            if (waitMs === 0) await Promise.all(windows.map((w) => store.increment(w.key, w.ttlMs)));
+            return { waitMs, locked: false };
+        }
+
+        // the error to fail the request with, null if it may go on
+        async function run(req, kind) {
+            let result;
+            try {
+                result = await check(req, kind);
+            } catch (error) {
+                // a broken store must not take sign-in down with it
+                console.error(`Rate limit store error on ${name}:`, error.message);
+                return null;
+            }
+            if (result.locked) {
+                return new TooManyRequestsError("Too many failed sign-in attempts, try again later", result.waitMs, "locked_out");
+            }
+            if (result.waitMs > 0) return new TooManyRequestsError("Too many requests", result.waitMs);
+            return null;
+        }
+
+        const middleware = async (req, res, next) => {
+            if (disabled) return next();
+            const error = await run(req, "ip");
+            if (error) return next(error);
+            next();
+        };
+
+        // once the route knows whose sign-in or refresh this is: the account
+        // windows. Throws TooManyRequestsError
+        middleware.checkAccount = async (req, account) => {
+            req.rateLimitAccount = account;
+            if (disabled) return;
+            const error = await run(req, "account");
+            if (error) throw error;
+        };
+
+        // a failed code exchange; enough of them within the window lock the IP out
+        middleware.recordFailure = async (req) => {
+            if (disabled || !lockout || !req.ip) return;
+            try {
+                const t = now();
+                const window = Math.floor(t / lockout.windowMs);
+                const failures = await store.increment(failKey(req.ip, window), lockout.windowMs);
+                if (failures >= lockout.threshold) {
+                    await store.set(lockKey(req.ip), t + lockout.durationMs, lockout.durationMs);
+                    await store.delete(failKey(req.ip, window));
+                }
+            } catch (error) {
+                console.error(`Rate limit store error on ${name}:`, error.message);
+            }
+        };
+
+        // a successful sign-in forgets earlier failures from that IP
+        middleware.reset = async (req) => {
+            if (disabled || !lockout || !req.ip) return;
+            try {
+                await store.delete(failKey(req.ip, Math.floor(now() / lockout.windowMs)));
+            } catch (error) {
+                console.error(`Rate limit store error on ${name}:`, error.message);
+            }
+        };
+
+        return middleware;
+    }
+
+    return { limit };
+}
+
+module.exports = { DEFAULT_ROUTES, buildRouteConfig, createStore, createRateLimits, slidingWait };
@@ -0,0 +1,47 @@
+// counters in this process; fine for a single instance, each instance
+// counts on its own when there are several
+function createMemoryStore({ now = Date.now } = {}) {
+    const entries = new Map();
+    let nextSweep = 0;
+
+    function live(key) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    function sweep() {
+        const t = now();
+        if (t < nextSweep) return;
+        nextSweep = t + 60 * 1000;
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= t) entries.delete(key);
+        }
+    }
+
+    return {
+        async increment(key, ttlMs) {
+            sweep();
+            const entry = live(key);
+            if (entry) return ++entry.value;
+            entries.set(key, { value: 1, expiresAt: now() + ttlMs });
+            return 1;
+        },
+        async get(key) {
+            return live(key)?.value ?? 0;
+        },
+        async set(key, value, ttlMs) {
+            sweep();
+            entries.set(key, { value, expiresAt: now() + ttlMs });
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+    };
+}
+
+module.exports = createMemoryStore;
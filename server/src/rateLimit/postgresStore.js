@@ -0,0 +1,49 @@
+// counters in the RateLimitCounter table, shared by every instance on the
+// same database; an expired row restarts at 1 instead of being deleted first
+function createPostgresStore(prisma, { now = Date.now } = {}) {
+    let nextSweep = 0;
+
+    // expired rows are only ever overwritten, so clear them out now and then
+    async function sweep() {
+        const t = now();
+        if (t < nextSweep) return;
+        nextSweep = t + 5 * 60 * 1000;
+        await prisma.$executeRaw`DELETE FROM "RateLimitCounter" WHERE "expiresAt" <= ${new Date(t)}`;
+    }
+
+    return {
+        async increment(key, ttlMs) {
+            await sweep();
+            const t = new Date(now());
+            const expiresAt = new Date(t.getTime() + ttlMs);
+            const rows = await prisma.$queryRaw`
+                INSERT INTO "RateLimitCounter" ("key", "value", "expiresAt")
+                VALUES (${key}, 1, ${expiresAt})
+                ON CONFLICT ("key") DO UPDATE SET
+                    "value" = CASE WHEN "RateLimitCounter"."expiresAt" <= ${t}
+                        THEN 1 ELSE "RateLimitCounter"."value" + 1 END,
+                    "expiresAt" = CASE WHEN "RateLimitCounter"."expiresAt" <= ${t}
+                        THEN EXCLUDED."expiresAt" ELSE "RateLimitCounter"."expiresAt" END
+                RETURNING "value"`;
+            return Number(rows[0].value);
+        },
+        async get(key) {
+            const rows = await prisma.$queryRaw`
+                SELECT "value" FROM "RateLimitCounter"
+                WHERE "key" = ${key} AND "expiresAt" > ${new Date(now())}`;
+            return rows.length ? Number(rows[0].value) : 0;
+        },
+        async set(key, value, ttlMs) {
+            const expiresAt = new Date(now() + ttlMs);
+            await prisma.$executeRaw`
+                INSERT INTO "RateLimitCounter" ("key", "value", "expiresAt")
+                VALUES (${key}, ${value}, ${expiresAt})
+                ON CONFLICT ("key") DO UPDATE SET "value" = EXCLUDED."value", "expiresAt" = EXCLUDED."expiresAt"`;
+        },
+        async delete(key) {
+            await prisma.$executeRaw`DELETE FROM "RateLimitCounter" WHERE "key" = ${key}`;
+        },
+    };
+}
+
+module.exports = createPostgresStore;
@@ -0,0 +1,32 @@
+// INCR and the first PEXPIRE in one step, so a counter can't be left without a TTL
+const INCREMENT_SCRIPT = `
+local value = redis.call('INCR', KEYS[1])
+if value == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+return value`;
+
+// counters in Redis or anything speaking its protocol (Valkey, KeyDB, Dragonfly).
+// `client` is a connected node-redis (sendCommand) or ioredis (call) client.
+function createRedisStore(client, { prefix = "ratelimit:" } = {}) {
+    const send = typeof client.call === "function"
+        ? (args) => client.call(...args)
+        : (args) => client.sendCommand(args);
+
+    return {
+        async increment(key, ttlMs) {
+            const value = await send(["EVAL", INCREMENT_SCRIPT, "1", prefix + key, String(ttlMs)]);
+            return Number(value);
+        },
+        async get(key) {
+            const value = await send(["GET", prefix + key]);
+            return value === null ? 0 : Number(value);
+        },
+        async set(key, value, ttlMs) {
+            await send(["SET", prefix + key, String(value), "PX", String(ttlMs)]);
+        },
+        async delete(key) {
+            await send(["DEL", prefix + key]);
+        },
+    };
+}
+
+module.exports = createRedisStore;
@@ -0,0 +1,45 @@
+const express = require("express");
+const { unlinkAccount } = require("../utils/accounts");
+const { NotFoundError } = require("../utils/errors");
+
+function toJson(account) {
+    return {
+        id: account.id,
+        provider: account.provider,
+        email: account.email,
+        createdAt: account.createdAt,
+    };
+}
+
+// the caller's linked sign-in identities; mounted behind requireAuth.
+// Linking goes through /api/auth/:provider/start?intent=link
+function accountsRouter(prisma) {
+    const router = express.Router();
+
+    router.get("/", async (req, res, next) => {
+        try {
+            const accounts = await prisma.account.findMany({
+                where: { userId: req.user.id },
+                orderBy: { createdAt: "asc" },
+            });
+            res.json({ accounts: accounts.map(toJson) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.delete("/:id", async (req, res, next) => {
+        try {
+            const id = Number(req.params.id);
+            const account = Number.isInteger(id) ? await unlinkAccount(prisma, req.user.id, id) : null;
+            if (!account) throw new NotFoundError("Account not found");
+            res.status(204).end();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = accountsRouter;
@@ -0,0 +1,197 @@
+const express = require("express");
+const { z } = require("zod");
+const { ROLES } = require("../utils/roles");
+const { revokeAllSessions } = require("../utils/sessions");
+const { createInvitation, inviteLink } = require("../utils/invitations");
+const { recordAuthEvent } = require("../utils/audit");
+const { ConflictError, NotFoundError } = require("../utils/errors");
+const { validate } = require("../utils/validation");
+const { avatarPath } = require("../utils/avatars");
+
+const SORT_FIELDS = ["id", "email", "name", "createdAt", "role"];
+const MAX_PAGE_SIZE = 100;
+
+const updateUserBody = z.object({
+    role: z.string().transform((r) => r.toUpperCase()).pipe(z.enum(ROLES)).optional(),
+    disabled: z.boolean().optional(),
+}).refine((body) => body.role !== undefined || body.disabled !== undefined, "Nothing to update");
+
+const createInvitationBody = z.object({
+    email: z.email("A valid email is required"),
+    expiresInDays: z.number().int().min(1).max(90).optional(),
+});
+
+function toJson(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        avatar: avatarPath(user),
+        role: user.role,
+        disabled: Boolean(user.disabledAt),
+        disabledAt: user.disabledAt,
+        deletedAt: user.deletedAt,
+        purgeAt: user.purgeAt,
+        createdAt: user.createdAt,
+    };
+}
+
+function invitationJson(invitation) {
+    return {
+        id: invitation.id,
+        email: invitation.email,
+        invitedById: invitation.invitedById,
+        expiresAt: invitation.expiresAt,
+        createdAt: invitation.createdAt,
+    };
+}
+
+// user and invitation management; mounted behind requireAuth + authorize('admin')
+function adminRouter(prisma) {
+    const router = express.Router();
+
+    // ?page=1&pageSize=20&q=<email or name>&sort=createdAt&order=desc
+    router.get("/users", async (req, res, next) => {
+        try {
+            const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+            const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+            const sort = SORT_FIELDS.includes(req.query.sort) ? req.query.sort : "createdAt";
+            const order = req.query.order === "asc" ? "asc" : "desc";
+            const q = (req.query.q || "").trim();
+
+            const where = q
+                ? {
+                    OR: [
+                        { email: { contains: q, mode: "insensitive" } },
+                        { name: { contains: q, mode: "insensitive" } },
+                    ],
+                }
+                : {};
+
+            const [users, total] = await prisma.$transaction([
+                prisma.user.findMany({
+                    where,
+                    orderBy: [{ [sort]: order }, { id: "asc" }],
+                    skip: (page - 1) * pageSize,
+                    take: pageSize,
+                }),
+                prisma.user.count({ where }),
+            ]);
+            res.json({ users: users.map(toJson), page, pageSize, total });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // { role?: "user" | "admin", disabled?: boolean }
+    router.patch("/users/:id", validate(updateUserBody), async (req, res, next) => {
+        try {
+            const id = Number(req.params.id);
+            const { role, disabled } = req.body;
+            const data = {};
+            if (role !== undefined) data.role = role;
+            if (disabled !== undefined) data.disabledAt = disabled ? new Date() : null;
+
+            // an admin can't lock themselves out
+            if (id === req.user.id && (data.role === "USER" || disabled === true)) {
+                throw new ConflictError("You cannot demote or disable yourself", "self_lockout");
+            }
+
+            const existing = Number.isInteger(id) ? await prisma.user.findUnique({ where: { id } }) : null;
+            if (!existing) throw new NotFoundError("User not found");
+
+            const user = await prisma.user.update({ where: { id }, data });
+            if (user.role !== existing.role) {
+                recordAuthEvent(prisma, req, {
+                    type: "ROLE_CHANGED",
+                    userId: id,
+                    reason: "admin",
+                    metadata: { from: existing.role, to: user.role, actorId: req.user.id },
+                });
+            }
+            if (disabled === true) {
+                await revokeAllSessions(prisma, id);
+                recordAuthEvent(prisma, req, {
+                    type: "SESSION_REVOKED",
+                    userId: id,
+                    reason: "account_disabled",
+                    metadata: { actorId: req.user.id },
+                });
+            }
+
+            res.json({ user: toJson(user) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.delete("/users/:id", async (req, res, next) => {
+        try {
+            const id = Number(req.params.id);
+            if (id === req.user.id) throw new ConflictError("You cannot delete yourself", "self_lockout");
+
+            const existing = Number.isInteger(id) ? await prisma.user.findUnique({ where: { id } }) : null;
+            if (!existing) throw new NotFoundError("User not found");
+
+            // a hard delete, like the purge job's; the user's events lose their
+            // userId with the row, so this one names it in the metadata
+            recordAuthEvent(prisma, req, {
+                type: "ACCOUNT_PURGED",
+                reason: "admin",
+                metadata: { userId: id, email: existing.email, actorId: req.user.id },
+            });
+            // sessions, refresh tokens and accounts go with it (onDelete: Cascade)
+            await prisma.user.delete({ where: { id } });
+            res.status(204).end();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get("/invitations", async (req, res, next) => {
+        try {
+            const invitations = await prisma.invitation.findMany({
+                where: { acceptedAt: null, revokedAt: null, expiresAt: { gt: new Date() } },
+                orderBy: { createdAt: "desc" },
+            });
+            res.json({ invitations: invitations.map(invitationJson) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // { email, expiresInDays? } -> the link is only shown once, the token is stored hashed
+    router.post("/invitations", validate(createInvitationBody), async (req, res, next) => {
+        try {
+            const { email, expiresInDays } = req.body;
+            const { invitation, token } = await createInvitation(prisma, {
+                email,
+                invitedById: req.user.id,
+                ttlDays: expiresInDays,
+            });
+            res.status(201).json({ invitation: invitationJson(invitation), link: inviteLink(token) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.delete("/invitations/:id", async (req, res, next) => {
+        try {
+            const id = Number(req.params.id);
+            const { count } = Number.isInteger(id)
+                ? await prisma.invitation.updateMany({
+                    where: { id, acceptedAt: null, revokedAt: null },
+                    data: { revokedAt: new Date() },
+                })
+                : { count: 0 };
+            if (count === 0) throw new NotFoundError("No pending invitation with that id");
+            res.status(204).end();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = adminRouter;
@@ -0,0 +1,145 @@
+const express = require("express");
+const { AUTH_EVENT_TYPES } = require("../utils/audit");
+const { ValidationError } = require("../utils/errors");
+
+const MAX_LIMIT = 200;
+const EXPORT_BATCH = 500;
+const CSV_COLUMNS = ["id", "createdAt", "type", "userId", "provider", "ip", "userAgent", "reason", "metadata"];
+
+function toJson(event) {
+    return {
+        id: event.id,
+        createdAt: event.createdAt,
+        type: event.type,
+        userId: event.userId,
+        provider: event.provider,
+        ip: event.ip,
+        userAgent: event.userAgent,
+        reason: event.reason,
+        metadata: event.metadata,
+    };
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    let text = value instanceof Date ? value.toISOString()
+        : typeof value === "object" ? JSON.stringify(value)
+            : String(value);
+    // user agents and reasons come from clients; a leading = + - @ (or a TAB/CR
+    // before one) would run as a formula when the export is opened in a spreadsheet
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// resolves true once `res` takes more data, false if the client went away first
+function write(res, chunk) {
+    if (res.destroyed) return Promise.resolve(false);
+    if (res.write(chunk)) return Promise.resolve(true);
+    return new Promise((resolve) => {
+        const done = (ok) => () => {
+            res.off("drain", onDrain);
+            res.off("close", onClose);
+            resolve(ok);
+        };
+        const onDrain = done(true);
+        const onClose = done(false);
+        res.on("drain", onDrain);
+        res.on("close", onClose);
+    });
+}
+
+function invalidQuery(path, message) {
+    return new ValidationError(message, [{ path, message }]);
+}
+
+// ?userId=&type=LOGIN_FAILURE,LOGOUT&from=<ISO>&to=<ISO> -> prisma filter
+function parseFilter(query) {
+    const where = {};
+
+    if (query.userId !== undefined) {
+        const userId = Number(query.userId);
+        if (!Number.isInteger(userId)) throw invalidQuery("userId", "userId must be an integer");
+        where.userId = userId;
+    }
+    if (query.type) {
+        const types = String(query.type).split(",").map((t) => t.trim().toUpperCase());
+        const unknown = types.find((t) => !AUTH_EVENT_TYPES.includes(t));
+        if (unknown) throw invalidQuery("type", `Unknown event type ${unknown}`);
+        where.type = { in: types };
+    }
+    for (const [param, op] of [["from", "gte"], ["to", "lt"]]) {
+        if (!query[param]) continue;
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) throw invalidQuery(param, `${param} must be an ISO date`);
+        where.createdAt = { ...where.createdAt, [op]: date };
+    }
+    return where;
+}
+
+// security log for admins, newest first; mounted behind requireAuth + authorize('admin')
+function auditRouter(prisma) {
+    const router = express.Router();
+
+    // JSON pages: ?cursor=<nextCursor from the previous page>&limit=50
+    // export:     ?format=csv|ndjson streams every matching event
+    router.get("/", async (req, res, next) => {
+        try {
+            const where = parseFilter(req.query);
+
+            const format = req.query.format || "json";
+            if (format === "csv" || format === "ndjson") return await exportEvents(res, where, format);
+            if (format !== "json") throw invalidQuery("format", `Unknown format ${format}`);
+
+            const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 50));
+            const cursor = parseInt(req.query.cursor, 10);
+            const events = await prisma.authEvent.findMany({
+                where: Number.isInteger(cursor) ? { ...where, id: { lt: cursor } } : where,
+                orderBy: { id: "desc" },
+                take: limit + 1,
+            });
+
+            const page = events.slice(0, limit);
+            const nextCursor = events.length > limit ? page[page.length - 1].id : null;
+            res.json({ events: page.map(toJson), nextCursor });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // walks the id index in batches so a large export never sits in memory;
+    // each batch waits until the client has taken the previous one
+    async function exportEvents(res, where, format) {
+        const stamp = new Date().toISOString().slice(0, 10);
+        if (format === "csv") {
+            res.attachment(`auth-events-${stamp}.csv`);
+            res.type("text/csv");
+            if (!await write(res, CSV_COLUMNS.join(",") + "\n")) return;
+        } else {
+            res.attachment(`auth-events-${stamp}.ndjson`);
+            res.type("application/x-ndjson");
+        }
+
+        let cursor = null;
+        for (;;) {
+            const batch = await prisma.authEvent.findMany({
+                where: cursor ? { ...where, id: { lt: cursor } } : where,
+                orderBy: { id: "desc" },
+                take: EXPORT_BATCH,
+            });
+            const lines = batch.map((event) => {
+                const row = toJson(event);
+                return format === "csv"
+                    ? CSV_COLUMNS.map((c) => csvCell(row[c])).join(",") + "\n"
+                    : JSON.stringify(row) + "\n";
+            });
+            if (!await write(res, lines.join(""))) return;
+            if (batch.length < EXPORT_BATCH) break;
+            cursor = batch[batch.length - 1].id;
+        }
+        res.end();
+    }
+
+    return router;
+}
+
+module.exports = auditRouter;
@@ -0,0 +1,258 @@
+const express = require("express");
+const { z } = require("zod");
+const requireAuth = require("../middleware/requireAuth");
+const { readAccessToken } = require("../middleware/requireAuth");
+const { listProviders } = require("../providers");
+const { ProviderError } = require("../providers/oauth2");
+const { upsertProviderUser, linkProviderAccount, saveAccountTokens } = require("../utils/accounts");
+const { createAuthRequest, consumeAuthRequest, AUTH_REQUEST_TTL_MS } = require("../utils/oauthState");
+const { getGoogleAccessToken } = require("../utils/googleTokens");
+const { bootstrapAdmin, AccountDisabledError } = require("../utils/roles");
+const { admitSignup } = require("../utils/signupPolicy");
+const { acceptInvitation } = require("../utils/invitations");
+const { recordAuthEvent } = require("../utils/audit");
+const { restoreAccount } = require("../utils/accountDeletion");
+const { createSession, revokeSession, revokeAllSessions } = require("../utils/sessions");
+const { issueSessionTokens, rotateRefreshToken, verifyAccessToken, TokenError } = require("../utils/tokens");
+const { REFRESH_COOKIE, setAuthCookies, clearAuthCookies } = require("../utils/authCookies");
+const { ApiError, BadRequestError, NotFoundError, UnauthorizedError } = require("../utils/errors");
+const { parse, validate } = require("../utils/validation");
+const { getConfig } = require("../config");
+const { profileJson } = require("./users");
+
+const STATE_COOKIE = "oauth_state";
+// callback failures that look like guessing or replaying codes; they count towards the IP's lockout
+const LOCKOUT_CODES = ["missing_code", "state_mismatch", "state_expired", "invalid_id_token", "invalid_grant"];
+
+const callbackBody = z.object({
+    code: z.string({ error: "Missing authorization code" }).min(1, "Missing authorization code"),
+    state: z.string().optional(),
+});
+
+const refreshBody = z.object({
+    refreshToken: z.string().min(1).optional(),
+});
+
+// login with any registered provider, token refresh and logout; mounted at /api/auth.
+// `providers` is the registry from providers/index.js
+function authRouter(prisma, { providers, rateLimits }) {
+    const router = express.Router();
+    const auth = requireAuth(prisma);
+    const callbackLimit = rateLimits.limit("auth:callback");
+    const refreshLimit = rateLimits.limit("auth:refresh");
+    const getProvider = (id) => providers.get(id) || null;
+
+    // enabled providers for the login page
+    router.get("/providers", (req, res) => {
+        res.json({ providers: listProviders(providers) });
+    });
+
+    // ?intent=link adds an identity to the signed-in user instead of logging in
+    const authIfLinking = (req, res, next) => (req.query.intent === "link" ? auth(req, res, next) : next());
+
+    // start the login: remember state/nonce/PKCE server-side and send the browser to the provider
+    router.get("/:provider/start", rateLimits.limit("auth:start"), authIfLinking, async (req, res, next) => {
+        try {
+            const provider = getProvider(req.params.provider);
+            if (!provider) throw new NotFoundError("Unknown provider", "unknown_provider");
+
+            const link = req.user ? { userId: req.user.id, sessionId: req.session.id } : null;
+            const invite = typeof req.query.invite === "string" ? req.query.invite : null;
+            const { state, nonce, codeChallenge } = createAuthRequest(provider.id, { link, invite });
+            const url = await provider.authorizationUrl({ state, nonce, codeChallenge });
+
+            // binds the state to this browser so a callback started elsewhere is refused.
+            // Path "/" so a server-side redirect page (next-client's /oauth2/redirect) can forward it
+            res.cookie(STATE_COOKIE, state, {
+                httpOnly: true,
+                sameSite: "lax",
+                secure: getConfig().cookies.secure,
+                maxAge: AUTH_REQUEST_TTL_MS,
+                path: "/",
+            });
+            res.redirect(url);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // the client's redirect page posts { code, state } here
+    router.post("/:provider/callback", callbackLimit, async (req, res, next) => {
+        const provider = getProvider(req.params.provider);
+        let userId = null;
+
+        try {
+            if (!provider) throw new NotFoundError("Unknown provider", "unknown_provider");
+            const { code, state } = parse(callbackBody, req.body, { codes: { code: "missing_code" } });
+
+            // 0. The state must be the one issued to this browser for this provider, and only once
+            const cookieState = req.cookies[STATE_COOKIE];
+            res.clearCookie(STATE_COOKIE, { path: "/" });
+            if (!state || state !== cookieState) throw new BadRequestError("OAuth state mismatch", "state_mismatch");
+            const authRequest = consumeAuthRequest(state);
+            if (!authRequest || authRequest.provider !== provider.id) {
+                throw new BadRequestError("OAuth state expired or already used", "state_expired");
+            }
+            if (authRequest.link) userId = authRequest.link.userId;
+
+            // 1. Exchange the code for the provider's tokens
+            const providerTokens = await provider.exchangeCode({ code, codeVerifier: authRequest.codeVerifier });
+
+            // 2. Verified identity: id_token for OIDC providers, the profile API otherwise
+            const profile = await provider.fetchProfile(providerTokens, { nonce: authRequest.nonce });
+            await callbackLimit.checkAccount(req, `${provider.id}:${profile.providerAccountId}`);
+
+            // linking: the session that started the flow must still be alive
+            if (authRequest.link) {
+                const session = await prisma.session.findUnique({ where: { id: authRequest.link.sessionId } });
+                if (!session || session.revokedAt) {
+                    throw new UnauthorizedError("Session ended before the account was linked", "session_revoked");
+                }
+                const account = await linkProviderAccount(prisma, authRequest.link.userId, provider.id, profile);
+                await saveAccountTokens(prisma, account.id, providerTokens);
+                return res.json({ intent: "link", account: { id: account.id, provider: account.provider, email: account.email } });
+            }
+
+            // 3. Find or create the user through the provider account
+            const upserted = await upsertProviderUser(prisma, provider.id, profile, {
+                beforeSignup: () => admitSignup(prisma, profile, authRequest.invite),
+            });
+            userId = upserted.user.id;
+            if (upserted.signup) await acceptInvitation(prisma, upserted.signup, upserted.user.id);
+            if (upserted.user.disabledAt) throw new AccountDisabledError();
+            // signing in during the deletion grace period takes the deletion back,
+            // after purgeAt it fails with account_deleted
+            const restored = Boolean(upserted.user.deletedAt);
+            if (restored) {
+                upserted.user = await restoreAccount(prisma, upserted.user);
+                recordAuthEvent(prisma, req, { type: "ACCOUNT_RESTORED", userId: upserted.user.id, provider: provider.id });
+            }
+            const user = await bootstrapAdmin(prisma, upserted.user, profile);
+            if (user.role !== upserted.user.role) {
+                recordAuthEvent(prisma, req, {
+                    type: "ROLE_CHANGED",
+                    userId: user.id,
+                    reason: "bootstrap_admin",
+                    metadata: { from: upserted.user.role, to: user.role },
+                });
+            }
+            const { account } = upserted;
+
+            // keep the provider's tokens (refresh_token included) for later API calls
+            await saveAccountTokens(prisma, account.id, providerTokens);
+
+            // 4. Issue our own session tokens, the provider's tokens stay on the server
+            const session = await createSession(prisma, user.id, req);
+            const tokens = await issueSessionTokens(prisma, user, session);
+            setAuthCookies(res, tokens);
+            await callbackLimit.reset(req);
+            recordAuthEvent(prisma, req, {
+                type: "LOGIN_SUCCESS",
+                userId: user.id,
+                provider: provider.id,
+                metadata: { sessionId: session.id },
+            });
+            res.json({ user: profileJson(user), expiresAt: tokens.tokenExpiresAt, restored });
+
+        } catch (error) {
+            // every rejected login leaves an audit row with its code
+            const code = error instanceof ApiError ? error.code : "internal_error";
+            if (LOCKOUT_CODES.includes(code)) await callbackLimit.recordFailure(req);
+            recordAuthEvent(prisma, req, {
+                type: "LOGIN_FAILURE",
+                userId,
+                provider: provider ? provider.id : req.params.provider,
+                reason: code,
+                metadata: { message: error.message },
+            });
+            if (error instanceof ProviderError) {
+                console.error(`[${req.id}] Error from ${provider.id} during OAuth flow:`, error.details || error.message);
+            }
+            next(error);
+        }
+    });
+
+    // exchange a refresh token for a new access/refresh token pair; browsers
+    // use the cookie, other clients send { refreshToken } and get the pair back
+    router.post("/refresh", refreshLimit, validate(refreshBody), async (req, res, next) => {
+        const fromBody = req.body.refreshToken;
+        try {
+            const refreshToken = fromBody || req.cookies[REFRESH_COOKIE];
+            if (!refreshToken) throw new BadRequestError("Missing refresh token", "missing_refresh_token");
+
+            const rotated = await rotateRefreshToken(prisma, refreshToken, {
+                beforeRotate: (stored) => refreshLimit.checkAccount(req, String(stored.userId)),
+            });
+            recordAuthEvent(prisma, req, {
+                type: "TOKEN_REFRESH",
+                userId: rotated.user.id,
+                metadata: { sessionId: rotated.session.id },
+            });
+            if (fromBody) {
+                return res.json({
+                    token: rotated.token,
+                    refreshToken: rotated.refreshToken,
+                    expiresAt: rotated.tokenExpiresAt,
+                });
+            }
+            setAuthCookies(res, rotated);
+            res.json({ expiresAt: rotated.tokenExpiresAt });
+        } catch (error) {
+            if (error instanceof TokenError) {
+                recordAuthEvent(prisma, req, { type: "TOKEN_REFRESH_FAILURE", userId: error.userId, reason: error.message });
+                if (!fromBody) clearAuthCookies(res);
+            }
+            next(error);
+        }
+    });
+
+    // end the current session; an expired but genuine access token still names it
+    router.post("/logout", rateLimits.limit("auth:logout"), async (req, res, next) => {
+        try {
+            const token = readAccessToken(req);
+            if (token) {
+                try {
+                    const { sub, sid } = verifyAccessToken(token, { ignoreExpiration: true });
+                    if (sid) {
+                        await revokeSession(prisma, sid);
+                        recordAuthEvent(prisma, req, { type: "LOGOUT", userId: Number(sub), metadata: { sessionId: sid } });
+                    }
+                } catch (error) {
+                    if (!(error instanceof TokenError)) throw error;
+                }
+            }
+            clearAuthCookies(res);
+            res.status(204).end();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // end every session of the current user, this one included
+    router.post("/logout-all", auth, async (req, res, next) => {
+        try {
+            await revokeAllSessions(prisma, req.user.id);
+            recordAuthEvent(prisma, req, { type: "LOGOUT", userId: req.user.id, reason: "all_sessions" });
+            clearAuthCookies(res);
+            res.status(204).end();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // refresh the stored Google access token; the token itself never leaves the server
+    router.post("/google/refresh", auth, rateLimits.limit("auth:google-refresh"), async (req, res, next) => {
+        try {
+            const { scope, expiresAt } = await getGoogleAccessToken(prisma, getProvider("google"), req.user.id, {
+                forceRefresh: true,
+            });
+            res.json({ scope, expiresAt });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = authRouter;
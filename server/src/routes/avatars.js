@@ -0,0 +1,37 @@
+const express = require("express");
+const { AVATAR_SIZES, DEFAULT_AVATAR_SIZE, getAvatar, resizeAvatar } = require("../utils/avatars");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+
+// cached, resized provider avatars; mounted behind requireAuth at /api/avatars.
+// ?size=32|64|128|256, ?v= from avatarPath() only busts browser caches
+function avatarsRouter(prisma) {
+    const router = express.Router();
+
+    router.get("/:userId", async (req, res, next) => {
+        try {
+            const size = req.query.size === undefined ? DEFAULT_AVATAR_SIZE : Number(req.query.size);
+            if (!AVATAR_SIZES.includes(size)) {
+                throw new ValidationError("Unsupported avatar size", [
+                    { path: "size", message: `size must be one of ${AVATAR_SIZES.join(", ")}` },
+                ]);
+            }
+            const userId = Number(req.params.userId);
+            const user = Number.isInteger(userId) ? await prisma.user.findUnique({ where: { id: userId } }) : null;
+            const avatar = user && !user.disabledAt && !user.deletedAt ? await getAvatar(prisma, user) : null;
+            if (!avatar) throw new NotFoundError("No avatar for this user", "avatar_not_found");
+
+            res.set({
+                ETag: `"${avatar.etag}-${size}"`,
+                "Cache-Control": "private, max-age=86400",
+            });
+            if (req.fresh) return res.status(304).end();
+            res.type(avatar.contentType).send(await resizeAvatar(avatar, size));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = avatarsRouter;
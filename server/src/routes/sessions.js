@@ -0,0 +1,56 @@
+const express = require("express");
+const { revokeSession } = require("../utils/sessions");
+const { recordAuthEvent } = require("../utils/audit");
+const { NotFoundError } = require("../utils/errors");
+
+// the caller's active logins; mounted behind requireAuth
+function sessionsRouter(prisma) {
+    const router = express.Router();
+
+    router.get("/", async (req, res, next) => {
+        try {
+            const sessions = await prisma.session.findMany({
+                where: { userId: req.user.id, revokedAt: null },
+                orderBy: { lastSeenAt: "desc" },
+            });
+            res.json({
+                sessions: sessions.map((s) => ({
+                    id: s.id,
+                    userAgent: s.userAgent,
+                    ip: s.ip,
+                    createdAt: s.createdAt,
+                    lastSeenAt: s.lastSeenAt,
+                    current: s.id === req.session.id,
+                })),
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.delete("/:id", async (req, res, next) => {
+        try {
+            const id = Number(req.params.id);
+            // someone else's session id answers exactly like a missing one
+            const session = Number.isInteger(id)
+                ? await prisma.session.findFirst({ where: { id, userId: req.user.id } })
+                : null;
+            if (!session) throw new NotFoundError("Session not found");
+
+            await revokeSession(prisma, session.id);
+            recordAuthEvent(prisma, req, {
+                type: "SESSION_REVOKED",
+                userId: req.user.id,
+                reason: "user",
+                metadata: { sessionId: session.id },
+            });
+            res.status(204).end();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = sessionsRouter;
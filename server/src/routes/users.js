@@ -0,0 +1,120 @@
+const express = require("express");
+const { z } = require("zod");
+const { avatarPath } = require("../utils/avatars");
+const { exportUserData, requestDeletion } = require("../utils/accountDeletion");
+const { recordAuthEvent } = require("../utils/audit");
+const { clearAuthCookies } = require("../utils/authCookies");
+const { ValidationError } = require("../utils/errors");
+const { validate } = require("../utils/validation");
+
+const MAX_PREFERENCES_BYTES = 8 * 1024;
+
+function canonicalLocale(value) {
+    try {
+        return Intl.getCanonicalLocales(value)[0];
+    } catch {
+        return null;
+    }
+}
+
+function canonicalTimeZone(value) {
+    try {
+        return new Intl.DateTimeFormat("en-US", { timeZone: value }).resolvedOptions().timeZone;
+    } catch {
+        return null;
+    }
+}
+
+// null clears locale/timezone; in preferences a null value removes that key
+const updateProfileBody = z.object({
+    name: z.string().trim().min(1, "Name can't be empty").max(100).optional(),
+    locale: z.string().refine(canonicalLocale, "Unknown locale").transform(canonicalLocale).nullable().optional(),
+    timezone: z.string().refine(canonicalTimeZone, "Unknown time zone").transform(canonicalTimeZone).nullable().optional(),
+    preferences: z.record(z.string().min(1).max(64), z.json()).optional(),
+    syncProfile: z.boolean().optional(),
+}).refine((body) => Object.keys(body).length > 0, "Nothing to update");
+
+// the signed-in user as the client sees it; the avatar is always ours, never the provider's URL
+function profileJson(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        avatar: avatarPath(user),
+        locale: user.locale,
+        timezone: user.timezone,
+        preferences: user.preferences,
+        syncProfile: user.syncProfile,
+        role: user.role,
+        createdAt: user.createdAt,
+    };
+}
+
+// the caller's own profile, data export and account deletion; mounted behind
+// requireAuth at /api/users
+function usersRouter(prisma, { rateLimits }) {
+    const router = express.Router();
+
+    router.get("/me", (req, res) => {
+        res.json({ user: profileJson(req.user) });
+    });
+
+    router.patch("/me", validate(updateProfileBody), async (req, res, next) => {
+        try {
+            const { preferences, ...data } = req.body;
+            if (preferences) {
+                const merged = { ...req.user.preferences };
+                for (const [key, value] of Object.entries(preferences)) {
+                    if (value === null) delete merged[key];
+                    else merged[key] = value;
+                }
+                if (Buffer.byteLength(JSON.stringify(merged)) > MAX_PREFERENCES_BYTES) {
+                    throw new ValidationError("Preferences are too large", [
+                        { path: "preferences", message: `At most ${MAX_PREFERENCES_BYTES} bytes of JSON` },
+                    ]);
+                }
+                data.preferences = merged;
+            }
+            // a name edited here would be gone after the next login otherwise
+            if (data.name !== undefined && data.syncProfile === undefined) data.syncProfile = false;
+
+            const user = await prisma.user.update({ where: { id: req.user.id }, data });
+            res.json({ user: profileJson(user) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // everything we hold about the caller as a JSON download
+    router.post("/me/export", rateLimits.limit("users:export"), async (req, res, next) => {
+        try {
+            const archive = await exportUserData(prisma, req.user.id);
+            recordAuthEvent(prisma, req, { type: "DATA_EXPORTED", userId: req.user.id });
+            res.attachment(`account-export-${archive.exportedAt.toISOString().slice(0, 10)}.json`);
+            res.type("application/json").send(JSON.stringify(archive, null, 2));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // soft delete with a grace period, see utils/accountDeletion.js
+    router.delete("/me", async (req, res, next) => {
+        try {
+            const user = await requestDeletion(prisma, req.user);
+            recordAuthEvent(prisma, req, {
+                type: "ACCOUNT_DELETED",
+                userId: user.id,
+                metadata: { purgeAt: user.purgeAt },
+            });
+            clearAuthCookies(res);
+            res.status(202).json({ deletedAt: user.deletedAt, purgeAt: user.purgeAt });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = usersRouter;
+module.exports.profileJson = profileJson;
@@ -0,0 +1,140 @@
+const { revokeAllSessions } = require("./sessions");
+const { recordAuthEvent } = require("./audit");
+const { ConflictError, ForbiddenError } = require("./errors");
+const { getConfig } = require("../config");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AccountDeletedError extends ForbiddenError {
+    constructor(message = "This account has been deleted") {
+        super(message, "account_deleted");
+        this.name = "AccountDeletedError";
+    }
+}
+
+// everything we hold about a user, for the data export; provider tokens stay out,
+// they are credentials rather than personal data
+async function exportUserData(prisma, userId) {
+    const [user, accounts, sessions, authEvents] = await Promise.all([
+        prisma.user.findUnique({ where: { id: userId } }),
+        prisma.account.findMany({ where: { userId }, orderBy: { createdAt: "asc" } }),
+        prisma.session.findMany({ where: { userId }, orderBy: { createdAt: "asc" } }),
+        prisma.authEvent.findMany({ where: { userId }, orderBy: { id: "asc" } }),
+    ]);
+    return {
+        exportedAt: new Date(),
+        user: {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            avatar: user.avatar,
+            locale: user.locale,
+            timezone: user.timezone,
+            preferences: user.preferences,
+            syncProfile: user.syncProfile,
+            role: user.role,
+            disabledAt: user.disabledAt,
+            deletedAt: user.deletedAt,
+            createdAt: user.createdAt,
+        },
+        accounts: accounts.map((a) => ({
+            provider: a.provider,
+            providerAccountId: a.providerAccountId,
+            email: a.email,
+            scope: a.scope,
+            createdAt: a.createdAt,
+        })),
+        sessions: sessions.map((s) => ({
+            id: s.id,
+            userAgent: s.userAgent,
+            ip: s.ip,
+            createdAt: s.createdAt,
+            lastSeenAt: s.lastSeenAt,
+            revokedAt: s.revokedAt,
+        })),
+        authEvents: authEvents.map((e) => ({
+            createdAt: e.createdAt,
+            type: e.type,
+            provider: e.provider,
+            ip: e.ip,
+            userAgent: e.userAgent,
+            reason: e.reason,
+            metadata: e.metadata,
+        })),
+    };
+}
+
+// soft delete: the user is signed out everywhere and the stored provider tokens
+// are dropped, all or nothing; signing in before purgeAt brings the account back
+async function requestDeletion(prisma, user) {
+    const deletedAt = new Date();
+    const purgeAt = new Date(deletedAt.getTime() + getConfig().accountDeletion.graceDays * DAY_MS);
+
+    return prisma.$transaction(async (tx) => {
+        // the admin rows stay locked until commit, so of two admins deleting
+        // at once the second sees the first as deleted
+        const admins = await tx.$queryRaw`
+            SELECT "id" FROM "User" WHERE "role" = 'ADMIN' AND "deletedAt" IS NULL FOR UPDATE`;
+        if (admins.some((a) => a.id === user.id) && admins.length <= 1) {
+            throw new ConflictError("The last admin can't delete their account", "last_admin");
+        }
+
+        const updated = await tx.user.update({ where: { id: user.id }, data: { deletedAt, purgeAt } });
+        await revokeAllSessions(tx, user.id);
+        await tx.account.updateMany({
+            where: { userId: user.id },
+            data: { accessToken: null, refreshToken: null, expiresAt: null },
+        });
+        return updated;
+    });
+}
+
+// only before purgeAt; past it the account counts as purged even while the
+// purge job hasn't removed the row yet
+async function restoreAccount(prisma, user, now = new Date()) {
+    const { count } = await prisma.user.updateMany({
+        where: { id: user.id, deletedAt: { not: null }, purgeAt: { gt: now } },
+        data: { deletedAt: null, purgeAt: null },
+    });
+    if (!count) throw new AccountDeletedError();
+    return prisma.user.findUnique({ where: { id: user.id } });
+}
+
+// hard delete of every account past its grace period; sessions, tokens, linked
+// accounts and the avatar go with the row (cascade), the user's audit events
+// are removed explicitly since they only lose their userId otherwise
+async function purgeDeletedUsers(prisma, now = new Date()) {
+    const count = await prisma.$transaction(async (tx) => {
+        const due = await tx.user.findMany({
+            where: { deletedAt: { not: null }, purgeAt: { lte: now } },
+            select: { id: true },
+        });
+        const ids = due.map((u) => u.id);
+        if (!ids.length) return 0;
+        await tx.authEvent.deleteMany({ where: { userId: { in: ids } } });
+        const { count } = await tx.user.deleteMany({ where: { id: { in: ids } } });
+        return count;
+    });
+    if (count) recordAuthEvent(prisma, null, { type: "ACCOUNT_PURGED", metadata: { users: count } });
+    return count;
+}
+
+// runs the purge every `purgeIntervalMinutes`; safe to run on every instance
+function schedulePurge(prisma, { intervalMinutes = getConfig().accountDeletion.purgeIntervalMinutes } = {}) {
+    const run = () => purgeDeletedUsers(prisma)
+        .then((count) => count && console.log(`Purged ${count} deleted account(s)`))
+        .catch((error) => console.error("Account purge failed:", error.message));
+    run();
+    const timer = setInterval(run, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    AccountDeletedError,
+    exportUserData,
+    requestDeletion,
+    restoreAccount,
+    purgeDeletedUsers,
+    schedulePurge,
+};
@@ -0,0 +1,134 @@
+const { encrypt } = require("./secretBox");
+const { ConflictError, ForbiddenError } = require("./errors");
+
+class AccountConflictError extends ConflictError {
+    constructor(message) {
+        super(message, "account_conflict");
+        this.name = "AccountConflictError";
+    }
+}
+
+function expiresAtFrom(expiresIn) {
+    return expiresIn ? new Date(Date.now() + expiresIn * 1000) : null;
+}
+
+// store what a token endpoint returned, encrypted; providers only send a
+// refresh_token on consent, so an existing one is kept when the response has none
+async function saveAccountTokens(prisma, accountId, tokens) {
+    const data = {
+        accessToken: tokens.access_token ? encrypt(tokens.access_token) : null,
+        scope: tokens.scope || null,
+        expiresAt: expiresAtFrom(tokens.expires_in),
+    };
+    if (tokens.refresh_token) data.refreshToken = encrypt(tokens.refresh_token);
+
+    return prisma.account.update({ where: { id: accountId }, data });
+}
+
+// users are keyed on the provider's stable account id, the email is only profile data.
+// `beforeSignup(profile)` runs before a new user is created and may throw to refuse it;
+// its result comes back as `signup`
+async function upsertProviderUser(prisma, provider, profile, { beforeSignup } = {}) {
+    const { providerAccountId, email, emailVerified, name, picture } = profile;
+
+    const existing = await prisma.account.findUnique({
+        where: { provider_providerAccountId: { provider, providerAccountId } },
+        include: { user: true },
+    });
+    if (existing) {
+        // name and avatar follow the provider until the user edits their profile
+        const data = existing.user.syncProfile ? { name, avatar: picture } : {};
+        // follow an email change at the provider that supplied the user's address,
+        // unless another row holds the new one
+        if (email && emailVerified && email !== existing.user.email && existing.email === existing.user.email) {
+            const taken = await prisma.user.findUnique({ where: { email } });
+            if (!taken) data.email = email;
+        }
+        const user = await prisma.user.update({ where: { id: existing.userId }, data });
+        const account = await prisma.account.update({ where: { id: existing.id }, data: { email } });
+        return { user, account };
+    }
+
+    if (!email) throw new AccountConflictError("The provider did not share an email address");
+    // User.email is unique, so an address nobody proved they own would lock its
+    // real owner out with an account_conflict; unverified ones stay on Account.email
+    if (!emailVerified) {
+        throw new ForbiddenError("Verify your email address with the provider before signing up", "email_unverified");
+    }
+
+    const byEmail = await prisma.user.findUnique({
+        where: { email },
+        include: { accounts: true },
+    });
+    if (byEmail) {
+        // rows from before accounts existed are claimed by a verified email;
+        // a user who already has a sign-in method is never taken over this way
+        if (byEmail.accounts.length > 0) {
+            throw new AccountConflictError("An account with this email already exists, sign in with your existing method");
+        }
+        const account = await prisma.account.create({
+            data: { userId: byEmail.id, provider, providerAccountId, email },
+        });
+        const user = await prisma.user.update({
+            where: { id: byEmail.id },
+            data: byEmail.syncProfile ? { name, avatar: picture } : {},
+        });
+        return { user, account };
+    }
+
+    const signup = beforeSignup ? await beforeSignup(profile) : null;
+
+    const user = await prisma.user.create({
+        data: {
+            email,
+            name,
+            avatar: picture,
+            accounts: { create: { provider, providerAccountId, email } },
+        },
+        include: { accounts: true },
+    });
+    const [account] = user.accounts;
+    delete user.accounts;
+    return { user, account, signup };
+}
+
+// attach another provider identity to a signed-in user
+async function linkProviderAccount(prisma, userId, provider, profile) {
+    const { providerAccountId, email } = profile;
+
+    const existing = await prisma.account.findUnique({
+        where: { provider_providerAccountId: { provider, providerAccountId } },
+    });
+    if (existing) {
+        if (existing.userId !== userId) {
+            throw new AccountConflictError("This identity is already linked to another user");
+        }
+        return prisma.account.update({ where: { id: existing.id }, data: { email } });
+    }
+
+    return prisma.account.create({
+        data: { userId, provider, providerAccountId, email },
+    });
+}
+
+// remove a sign-in method, but never the last one
+async function unlinkAccount(prisma, userId, accountId) {
+    return prisma.$transaction(async (tx) => {
+        const accounts = await tx.account.findMany({ where: { userId } });
+        const account = accounts.find((a) => a.id === accountId);
+        if (!account) return null;
+        if (accounts.length <= 1) {
+            throw new AccountConflictError("Cannot unlink the last sign-in method");
+        }
+        await tx.account.delete({ where: { id: account.id } });
+        return account;
+    });
+}
+
+module.exports = {
+    AccountConflictError,
+    saveAccountTokens,
+    upsertProviderUser,
+    linkProviderAccount,
+    unlinkAccount,
+};
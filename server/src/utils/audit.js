@@ -0,0 +1,32 @@
+const AUTH_EVENT_TYPES = [
+    "LOGIN_SUCCESS",
+    "LOGIN_FAILURE",
+    "TOKEN_REFRESH",
+    "TOKEN_REFRESH_FAILURE",
+    "LOGOUT",
+    "SESSION_REVOKED",
+    "ROLE_CHANGED",
+    "DATA_EXPORTED",
+    "ACCOUNT_DELETED",
+    "ACCOUNT_RESTORED",
+    "ACCOUNT_PURGED",
+];
+
+// fire and forget: the request never waits for the audit row, and a failed
+// write is logged instead of failing the login/refresh it describes
+function recordAuthEvent(prisma, req, { type, userId = null, provider = null, reason = null, metadata = null }) {
+    const data = {
+        type,
+        userId,
+        provider,
+        reason,
+        metadata,
+        ip: req?.ip || null,
+        userAgent: req?.get("user-agent") || null,
+    };
+    Promise.resolve()
+        .then(() => prisma.authEvent.create({ data }))
+        .catch((error) => console.error(`Could not record ${type} auth event:`, error.message));
+}
+
+module.exports = { AUTH_EVENT_TYPES, recordAuthEvent };
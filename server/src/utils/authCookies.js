@@ -0,0 +1,28 @@
+const { getConfig } = require("../config");
+
+const ACCESS_COOKIE = "access_token";
+const REFRESH_COOKIE = "refresh_token";
+
+// httpOnly so page scripts never see the tokens; sameSite=lax keeps
+// cross-site POSTs from carrying them
+function cookieOptions(path) {
+    return {
+        httpOnly: true,
+        sameSite: "lax",
+        secure: getConfig().cookies.secure,
+        path,
+    };
+}
+
+function setAuthCookies(res, { token, tokenExpiresAt, refreshToken, refreshExpiresAt }) {
+    res.cookie(ACCESS_COOKIE, token, { ...cookieOptions("/api"), expires: tokenExpiresAt });
+    // the refresh token is only ever sent to the auth routes
+    res.cookie(REFRESH_COOKIE, refreshToken, { ...cookieOptions("/api/auth"), expires: refreshExpiresAt });
+}
+
+function clearAuthCookies(res) {
+    res.clearCookie(ACCESS_COOKIE, cookieOptions("/api"));
+    res.clearCookie(REFRESH_COOKIE, cookieOptions("/api/auth"));
+}
+
+module.exports = { ACCESS_COOKIE, REFRESH_COOKIE, setAuthCookies, clearAuthCookies };
@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const axios = require("axios");
+const sharp = require("sharp");
+const { getConfig } = require("../config");
+
+// ?size= the endpoint serves; the stored copy is the largest
+const AVATAR_SIZES = [32, 64, 128, 256];
+const DEFAULT_AVATAR_SIZE = 128;
+const MAX_SOURCE_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 5000;
+// where providers serve profile pictures from; AVATAR_HOSTS adds more.
+// A host matches itself and its subdomains
+const DEFAULT_AVATAR_HOSTS = ["googleusercontent.com", "avatars.githubusercontent.com"];
+
+// addresses a picture URL must never reach: loopback, private, link-local
+// (cloud metadata), shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+for (const [prefix, bits] of [["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+function isBlockedAddress(address) {
+    const family = net.isIPv4(address) ? "ipv4" : "ipv6";
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+    return BLOCKED_ADDRESSES.check(address, family);
+}
+
+function isAllowedHost(hostname, hosts) {
+    const host = hostname.toLowerCase();
+    return hosts.some((allowed) => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+// dns.lookup for the avatar request that fails when any address is internal; it
+// runs when the socket connects, so a name can't pass a check and then rebind
+function safeLookup(lookup) {
+    return (hostname, options, callback) => {
+        lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            const blocked = addresses.find((a) => isBlockedAddress(a.address));
+            if (blocked) return callback(new Error(`Avatar host ${hostname} resolves to internal address ${blocked.address}`));
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+// where clients load the user's avatar from; the version changes with the
+// source URL so a new picture isn't hidden behind a cached old one
+function avatarPath(user) {
+    if (!user.avatar) return null;
+    const version = crypto.createHash("sha256").update(user.avatar).digest("hex").slice(0, 12);
+    return `/api/avatars/${user.id}?v=${version}`;
+}
+
+// download the provider's picture and normalise it to a square webp. The URL
+// comes from the provider profile, which some issuers let users set, so only
+// https on an allowed host, no redirects and no internal addresses.
+// `lookup` replaces dns.lookup (tests)
+async function downloadAvatar(sourceUrl, { hosts = avatarHosts(), lookup = dns.lookup } = {}) {
+    let url;
+    try {
+        url = new URL(sourceUrl);
+    } catch {
+        throw new Error(`Avatar URL ${sourceUrl} is not a URL`);
+    }
+    if (url.protocol !== "https:") throw new Error(`Avatar URL ${sourceUrl} is not https`);
+    if (!isAllowedHost(url.hostname, hosts)) throw new Error(`Avatar host ${url.hostname} is not allowed`);
+    if (net.isIP(url.hostname.replace(/^\[|\]$/g, ""))) throw new Error(`Avatar host ${url.hostname} is an IP address`);
+
+    const res = await axios.get(url.href, {
+        responseType: "arraybuffer",
+        timeout: FETCH_TIMEOUT_MS,
+        maxContentLength: MAX_SOURCE_BYTES,
+        maxRedirects: 0,
+        proxy: false,
+        lookup: safeLookup(lookup),
+    });
+    if (!String(res.headers["content-type"] || "").startsWith("image/")) {
+        throw new Error(`Avatar at ${sourceUrl} is not an image`);
+    }
+    const max = AVATAR_SIZES[AVATAR_SIZES.length - 1];
+    const data = await sharp(Buffer.from(res.data), { limitInputPixels: 4096 * 4096 })
+        .rotate()
+        .resize(max, max, { fit: "cover" })
+        .webp()
+        .toBuffer();
+    return {
+        sourceUrl,
+        contentType: "image/webp",
+        data,
+        etag: crypto.createHash("sha256").update(data).digest("base64url").slice(0, 27),
+    };
+}
+
+function avatarHosts() {
+    return [...DEFAULT_AVATAR_HOSTS, ...getConfig().avatars.hosts];
+}
+
+// the cached avatar of `user`, downloaded on first use and again when the
+// source URL changed; a failed download falls back to the stale copy
+async function getAvatar(prisma, user) {
+    if (!user.avatar) return null;
+    const cached = await prisma.avatar.findUnique({ where: { userId: user.id } });
+    if (cached && cached.sourceUrl === user.avatar) return cached;
+
+    let image;
+    try {
+        image = await downloadAvatar(user.avatar);
+    } catch (error) {
+        console.error(`Avatar download for user ${user.id} failed:`, error.message);
+        return cached;
+    }
+    return prisma.avatar.upsert({
+        where: { userId: user.id },
+        create: { userId: user.id, ...image },
+        update: image,
+    });
+}
+
+async function resizeAvatar(avatar, size) {
+    if (size === AVATAR_SIZES[AVATAR_SIZES.length - 1]) return Buffer.from(avatar.data);
+    return sharp(Buffer.from(avatar.data)).resize(size, size).webp().toBuffer();
+}
+
+module.exports = { AVATAR_SIZES, DEFAULT_AVATAR_SIZE, avatarPath, downloadAvatar, getAvatar, resizeAvatar };
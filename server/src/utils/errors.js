@@ -0,0 +1,84 @@
+// base of every error the API reports on purpose: an HTTP status plus a
+// stable, machine-readable `code` clients can switch on. Anything else that
+// reaches the error handler is a bug or an outage and becomes a 500.
+class ApiError extends Error {
+    constructor(message, { status = 500, code = "internal_error", details, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = "ApiError";
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+class ValidationError extends ApiError {
+    // `errors` is [{ path, message }], one per invalid field
+    constructor(message, errors = [], code = "validation_failed") {
+        super(message, { status: 400, code });
+        this.name = "ValidationError";
+        this.errors = errors;
+    }
+}
+
+class BadRequestError extends ApiError {
+    constructor(message, code = "bad_request") {
+        super(message, { status: 400, code });
+        this.name = "BadRequestError";
+    }
+}
+
+class UnauthorizedError extends ApiError {
+    constructor(message = "Authentication required", code = "unauthorized") {
+        super(message, { status: 401, code });
+        this.name = "UnauthorizedError";
+    }
+}
+
+class ForbiddenError extends ApiError {
+    constructor(message = "Forbidden", code = "forbidden") {
+        super(message, { status: 403, code });
+        this.name = "ForbiddenError";
+    }
+}
+
+class NotFoundError extends ApiError {
+    constructor(message = "Not found", code = "not_found") {
+        super(message, { status: 404, code });
+        this.name = "NotFoundError";
+    }
+}
+
+class ConflictError extends ApiError {
+    constructor(message, code = "conflict") {
+        super(message, { status: 409, code });
+        this.name = "ConflictError";
+    }
+}
+
+// `retryAfterMs` becomes the Retry-After header
+class TooManyRequestsError extends ApiError {
+    constructor(message, retryAfterMs, code = "rate_limited") {
+        super(message, { status: 429, code });
+        this.name = "TooManyRequestsError";
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+class ServiceUnavailableError extends ApiError {
+    constructor(message, code = "service_unavailable", cause) {
+        super(message, { status: 503, code, cause });
+        this.name = "ServiceUnavailableError";
+    }
+}
+
+module.exports = {
+    ApiError,
+    BadRequestError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    TooManyRequestsError,
+    ServiceUnavailableError,
+};
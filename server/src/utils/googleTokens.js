@@ -0,0 +1,68 @@
+const { decrypt } = require("./secretBox");
+const { saveAccountTokens } = require("./accounts");
+const { ConflictError, NotFoundError } = require("./errors");
+
+const PROVIDER = "google";
+const EXPIRY_SKEW_MS = 60 * 1000;
+
+// the user has to go through Google's consent screen again
+class ReauthRequiredError extends ConflictError {
+    constructor(message) {
+        super(message, "reauth_required");
+        this.name = "ReauthRequiredError";
+    }
+}
+
+// `google` is the Google provider from the registry, it talks to the token endpoint
+async function refreshGoogleTokens(prisma, google, account) {
+    if (!account.refreshToken) throw new ReauthRequiredError("No Google refresh token stored");
+
+    let tokens;
+    try {
+        tokens = await google.refreshTokens(decrypt(account.refreshToken));
+    } catch (error) {
+        // revoked or expired grant: forget it, the user has to consent again
+        if (error.code === "invalid_grant") {
+            await prisma.account.update({
+                where: { id: account.id },
+                data: { refreshToken: null, accessToken: null, expiresAt: null },
+            });
+            throw new ReauthRequiredError("Google refresh token was revoked");
+        }
+        throw error;
+    }
+
+    return saveAccountTokens(prisma, account.id, tokens);
+}
+
+// concurrent callers for the same account share one refresh request
+const inflight = new Map();
+
+async function refreshOnce(prisma, google, account) {
+    if (!inflight.has(account.id)) {
+        const p = refreshGoogleTokens(prisma, google, account).finally(() => inflight.delete(account.id));
+        inflight.set(account.id, p);
+    }
+    return inflight.get(account.id);
+}
+
+// a valid Google access token for calling Google APIs on the user's behalf
+async function getGoogleAccessToken(prisma, google, userId, { forceRefresh = false } = {}) {
+    if (!google) throw new NotFoundError("Google sign-in is not enabled", "unknown_provider");
+    let account = await prisma.account.findFirst({
+        where: { userId, provider: PROVIDER },
+        orderBy: { updatedAt: "desc" },
+    });
+    if (!account) throw new ReauthRequiredError("User has no linked Google account");
+
+    const fresh = account.accessToken && account.expiresAt
+        && account.expiresAt.getTime() - EXPIRY_SKEW_MS > Date.now();
+    if (forceRefresh || !fresh) account = await refreshOnce(prisma, google, account);
+
+    return { accessToken: decrypt(account.accessToken), scope: account.scope, expiresAt: account.expiresAt };
+}
+
+module.exports = {
+    ReauthRequiredError,
+    getGoogleAccessToken,
+};
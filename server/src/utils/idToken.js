@@ -0,0 +1,110 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const { UnauthorizedError, ServiceUnavailableError } = require("./errors");
+
+const DEFAULT_CACHE_MS = 60 * 60 * 1000;
+// an unknown kid reloads the keys at most this often, so tokens with made-up
+// kids can't make every login fetch the provider's JWKS
+const UNKNOWN_KID_RELOAD_MS = 60 * 1000;
+
+class IdTokenError extends UnauthorizedError {
+    constructor(message) {
+        super(message, "invalid_id_token");
+        this.name = "IdTokenError";
+    }
+}
+
+function maxAgeMs(cacheControl) {
+    const m = /max-age=(\d+)/.exec(cacheControl || "");
+    return m ? parseInt(m[1], 10) * 1000 : DEFAULT_CACHE_MS;
+}
+
+// cached signing keys of one issuer, kid -> KeyObject; reloaded when they
+// expire or an unknown kid shows up (throttled, in between it fails fast).
+// `jwksFile` is a saved copy of the keys so tests run offline.
+function createKeyStore({ jwksUri, jwksFile, now = Date.now }) {
+    let keys = new Map();
+    let expiresAt = 0;
+    let loadedAt = -Infinity;
+    let loading = null;
+
+    async function fetchJwks() {
+        if (jwksFile) {
+            return { jwks: JSON.parse(fs.readFileSync(jwksFile, "utf8")), ttl: DEFAULT_CACHE_MS };
+        }
+        const uri = typeof jwksUri === "function" ? await jwksUri() : jwksUri;
+        let res;
+        try {
+            res = await axios.get(uri);
+        } catch (error) {
+            throw new ServiceUnavailableError("Could not load the provider's signing keys", "provider_unavailable", error);
+        }
+        return { jwks: res.data, ttl: maxAgeMs(res.headers["cache-control"]) };
+    }
+
+    async function load() {
+        const { jwks, ttl } = await fetchJwks();
+        const next = new Map();
+        for (const jwk of jwks.keys || []) {
+            if (jwk.use && jwk.use !== "sig") continue;
+            next.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+        }
+        keys = next;
+        expiresAt = now() + ttl;
+    }
+
+    // concurrent callers share one request
+    function reload() {
+        if (!loading) {
+            loadedAt = now();
+            loading = load().finally(() => {
+                loading = null;
+            });
+        }
+        return loading;
+    }
+
+    return {
+        async getKey(kid) {
+            const t = now();
+            const unknownDue = !keys.has(kid) && t - loadedAt >= UNKNOWN_KID_RELOAD_MS;
+            if (t >= expiresAt || unknownDue || loading) await reload();
+            const key = keys.get(kid);
+            if (!key) throw new IdTokenError(`No signing key for kid ${kid}`);
+            return key;
+        },
+    };
+}
+
+// checks signature, iss, aud, exp and nonce, returns the claims; `issuer` may
+// be a function for multi-tenant issuers that embed the tenant id
+async function verifyIdToken(idToken, { keyStore, issuer, audience, nonce }) {
+    if (!idToken) throw new IdTokenError("Missing id_token");
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header.kid) throw new IdTokenError("Malformed id_token");
+
+    const key = await keyStore.getKey(decoded.header.kid);
+
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: ["RS256"],
+            issuer: typeof issuer === "function" ? undefined : issuer,
+            audience,
+            nonce,
+        });
+    } catch (error) {
+        throw new IdTokenError(error.message);
+    }
+
+    if (typeof issuer === "function" && !issuer(claims)) {
+        throw new IdTokenError(`Unexpected issuer ${claims.iss}`);
+    }
+    if (!claims.sub) throw new IdTokenError("id_token has no subject");
+    return claims;
+}
+
+module.exports = { IdTokenError, createKeyStore, verifyIdToken };
@@ -0,0 +1,41 @@
+const crypto = require("crypto");
+const { hashToken } = require("./tokens");
+const { getConfig } = require("../config");
+
+const DEFAULT_INVITE_TTL_DAYS = 7;
+
+// the raw token only exists in the link handed to the invitee
+async function createInvitation(prisma, { email, invitedById, ttlDays = DEFAULT_INVITE_TTL_DAYS }) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const invitation = await prisma.invitation.create({
+        data: {
+            email: email.trim().toLowerCase(),
+            tokenHash: hashToken(token),
+            invitedById,
+            expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+        },
+    });
+    return { invitation, token };
+}
+
+function inviteLink(token) {
+    return `${getConfig().clientUrl}/login?invite=${encodeURIComponent(token)}`;
+}
+
+// null when the token is unknown, revoked, used or expired
+async function findPendingInvitation(prisma, token) {
+    if (!token) return null;
+    const invitation = await prisma.invitation.findUnique({ where: { tokenHash: hashToken(token) } });
+    if (!invitation || invitation.revokedAt || invitation.acceptedAt) return null;
+    if (invitation.expiresAt < new Date()) return null;
+    return invitation;
+}
+
+async function acceptInvitation(prisma, invitation, userId) {
+    await prisma.invitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null },
+        data: { acceptedAt: new Date(), acceptedById: userId },
+    });
+}
+
+module.exports = { createInvitation, inviteLink, findPendingInvitation, acceptInvitation };
@@ -0,0 +1,44 @@
+const crypto = require("crypto");
+
+const AUTH_REQUEST_TTL_MS = 10 * 60 * 1000;
+
+// state -> { provider, nonce, codeVerifier, link, invite, expiresAt }, each entry can be
+// consumed once; `link` holds { userId, sessionId } when a signed-in user adds an identity,
+// `invite` the invitation token a new user arrived with
+const pending = new Map();
+
+function randomToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString("base64url");
+}
+
+function sweepExpired(now) {
+    for (const [state, entry] of pending) {
+        if (entry.expiresAt <= now) pending.delete(state);
+    }
+}
+
+// fresh state, nonce and PKCE pair for one trip to a provider's authorize endpoint
+function createAuthRequest(provider, { link = null, invite = null } = {}) {
+    const now = Date.now();
+    sweepExpired(now);
+
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken(48);
+    const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+    pending.set(state, { provider, nonce, codeVerifier, link, invite, expiresAt: now + AUTH_REQUEST_TTL_MS });
+    return { state, nonce, codeVerifier, codeChallenge };
+}
+
+// returns the stored request and forgets it, so a replayed state finds nothing
+function consumeAuthRequest(state) {
+    if (!state) return null;
+    const entry = pending.get(state);
+    if (!entry) return null;
+    pending.delete(state);
+    if (entry.expiresAt <= Date.now()) return null;
+    return entry;
+}
+
+module.exports = { AUTH_REQUEST_TTL_MS, createAuthRequest, consumeAuthRequest };
@@ -0,0 +1,25 @@
+const { ForbiddenError } = require("./errors");
+const { getConfig } = require("../config");
+
+class AccountDisabledError extends ForbiddenError {
+    constructor(message = "This account has been disabled") {
+        super(message, "account_disabled");
+        this.name = "AccountDisabledError";
+    }
+}
+
+const ROLES = ["USER", "ADMIN"];
+
+// the first admin comes from ADMIN_EMAILS: an allowlisted, verified address is
+// promoted on login as long as nobody holds the role yet; after that admins
+// manage roles through the API
+async function bootstrapAdmin(prisma, user, profile) {
+    if (user.role === "ADMIN" || !profile.emailVerified) return user;
+    if (!getConfig().adminEmails.includes((user.email || "").toLowerCase())) return user;
+
+    const admins = await prisma.user.count({ where: { role: "ADMIN" } });
+    if (admins > 0) return user;
+    return prisma.user.update({ where: { id: user.id }, data: { role: "ADMIN" } });
+}
+
+module.exports = { ROLES, AccountDisabledError, bootstrapAdmin };
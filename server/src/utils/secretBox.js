@@ -0,0 +1,25 @@
+const crypto = require("crypto");
+const { getConfig } = require("../config");
+
+// AES-256-GCM for provider tokens at rest; TOKEN_ENCRYPTION_KEY is 32 bytes,
+// base64 encoded, which config.js checks at startup
+function getKey() {
+    return Buffer.from(getConfig().tokenEncryptionKey, "base64");
+}
+
+// "iv.tag.ciphertext", each part base64url
+function encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map((b) => b.toString("base64url")).join(".");
+}
+
+function decrypt(sealed) {
+    const [iv, tag, ciphertext] = sealed.split(".").map((p) => Buffer.from(p, "base64url"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+}
+
+module.exports = { encrypt, decrypt };
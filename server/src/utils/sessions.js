@@ -0,0 +1,55 @@
+// lastSeenAt is only written when it is at least this stale, not on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// one row per login (device), refresh tokens hang off it
+async function createSession(prisma, userId, req) {
+    return prisma.session.create({
+        data: {
+            userId,
+            userAgent: req.get("user-agent") || null,
+            ip: req.ip || null,
+        },
+    });
+}
+
+async function touchSession(prisma, session) {
+    if (Date.now() - session.lastSeenAt.getTime() < TOUCH_INTERVAL_MS) return;
+    await prisma.session.update({
+        where: { id: session.id },
+        data: { lastSeenAt: new Date() },
+    });
+}
+
+// revoking a session also kills its refresh tokens; access tokens die at the next request
+async function revokeSession(prisma, sessionId) {
+    const now = new Date();
+    await prisma.$transaction([
+        prisma.session.updateMany({
+            where: { id: sessionId, revokedAt: null },
+            data: { revokedAt: now },
+        }),
+        prisma.refreshToken.updateMany({
+            where: { sessionId, revokedAt: null },
+            data: { revokedAt: now },
+        }),
+    ]);
+}
+
+async function revokeAllSessions(prisma, userId) {
+    const now = new Date();
+    const updates = [
+        prisma.session.updateMany({
+            where: { userId, revokedAt: null },
+            data: { revokedAt: now },
+        }),
+        prisma.refreshToken.updateMany({
+            where: { userId, revokedAt: null },
+            data: { revokedAt: now },
+        }),
+    ];
+    // a transaction client has no $transaction, its own already covers both
+    if (prisma.$transaction) await prisma.$transaction(updates);
+    else for (const update of updates) await update;
+}
+
+module.exports = { createSession, touchSession, revokeSession, revokeAllSessions };
@@ -0,0 +1,51 @@
+const { findPendingInvitation } = require("./invitations");
+const { ForbiddenError } = require("./errors");
+const { getConfig } = require("../config");
+
+// rejected signups carry a stable code for the client
+class SignupPolicyError extends ForbiddenError {
+    constructor(code, message) {
+        super(message, code);
+        this.name = "SignupPolicyError";
+    }
+}
+
+// config.signup.policy (SIGNUP_POLICY): open (default) | domain | invite
+//   domain  domains from SIGNUP_DOMAINS: the Google Workspace domain (`hd` claim)
+//           when present, otherwise the domain of a verified email
+//   invite  invitation links only
+// SIGNUP_ALLOWED_EMAILS and pending invitations are admitted under every policy
+function signupPolicy() {
+    return getConfig().signup;
+}
+
+// decides whether a new user may be created; returns the invitation it used, if any.
+// Only applies to signups, existing users keep signing in.
+async function admitSignup(prisma, profile, inviteToken) {
+    const { policy, domains, allowedEmails } = signupPolicy();
+    const email = (profile.email || "").toLowerCase();
+
+    const invitation = await findPendingInvitation(prisma, inviteToken);
+    if (invitation) {
+        if (!profile.emailVerified || invitation.email !== email) {
+            throw new SignupPolicyError("invite_email_mismatch", "This invitation was issued for a different email address");
+        }
+        return invitation;
+    }
+    if (inviteToken) {
+        throw new SignupPolicyError("invite_invalid", "The invitation is invalid, expired or already used");
+    }
+
+    if (policy === "open") return null;
+    if (profile.emailVerified && allowedEmails.includes(email)) return null;
+
+    if (policy === "domain") {
+        const domain = profile.hostedDomain
+            || (profile.emailVerified ? email.split("@")[1] : "");
+        if (domain && domains.includes(domain.toLowerCase())) return null;
+        throw new SignupPolicyError("forbidden_domain", "Sign-up is restricted to the organisation's domain");
+    }
+    throw new SignupPolicyError("invite_required", "Sign-up requires an invitation");
+}
+
+module.exports = { SignupPolicyError, signupPolicy, admitSignup };
@@ -0,0 +1,96 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { revokeSession } = require("./sessions");
+const { UnauthorizedError } = require("./errors");
+const { getConfig } = require("../config");
+
+// invalid_token for access tokens, invalid_grant for refresh tokens; `userId`
+// is set when the token could be traced to a user, for the audit log
+class TokenError extends UnauthorizedError {
+    constructor(message, { code = "invalid_token", userId = null } = {}) {
+        super(message, code);
+        this.name = "TokenError";
+        this.userId = userId;
+    }
+}
+
+function hashToken(raw) {
+    return crypto.createHash("sha256").update(raw).digest("hex");
+}
+
+// short-lived access token, the `sub` is our own User.id and `sid` the Session.id
+function signAccessToken(user, session) {
+    const { secret, accessTokenTtl } = getConfig().jwt;
+    return jwt.sign({ sub: String(user.id), sid: session.id }, secret, { expiresIn: accessTokenTtl });
+}
+
+function verifyAccessToken(token, options) {
+    try {
+        return jwt.verify(token, getConfig().jwt.secret, options);
+    } catch (error) {
+        throw new TokenError(error.message);
+    }
+}
+
+// opaque refresh token, only its hash is stored
+async function issueRefreshToken(prisma, session) {
+    const raw = crypto.randomBytes(48).toString("base64url");
+    const expiresAt = new Date(Date.now() + getConfig().jwt.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+    await prisma.refreshToken.create({
+        data: {
+            tokenHash: hashToken(raw),
+            userId: session.userId,
+            sessionId: session.id,
+            expiresAt,
+        },
+    });
+    return { refreshToken: raw, refreshExpiresAt: expiresAt };
+}
+
+// access + refresh token pair for a session, with their expiry times
+async function issueSessionTokens(prisma, user, session) {
+    const token = signAccessToken(user, session);
+    const tokenExpiresAt = new Date(jwt.decode(token).exp * 1000);
+    const refresh = await issueRefreshToken(prisma, session);
+    return { token, tokenExpiresAt, ...refresh };
+}
+
+// swap a refresh token for a new one; presenting an already rotated
+// token means it leaked, so the whole session is revoked.
+// `beforeRotate(stored)` runs once the token is found and may throw to refuse it
+async function rotateRefreshToken(prisma, raw, { beforeRotate } = {}) {
+    const stored = await prisma.refreshToken.findUnique({
+        where: { tokenHash: hashToken(raw) },
+        include: { session: { include: { user: true } } },
+    });
+    if (!stored) throw new TokenError("Unknown refresh token", { code: "invalid_grant" });
+    if (beforeRotate) await beforeRotate(stored);
+    const invalid = (message) => new TokenError(message, { code: "invalid_grant", userId: stored.userId });
+    if (stored.session.revokedAt) throw invalid("Session has been revoked");
+    if (stored.session.user.disabledAt) throw invalid("This account has been disabled");
+
+    if (stored.revokedAt) {
+        await revokeSession(prisma, stored.sessionId);
+        throw invalid("Refresh token reuse detected");
+    }
+    if (stored.expiresAt < new Date()) throw invalid("Refresh token expired");
+
+    const { count } = await prisma.refreshToken.updateMany({
+        where: { id: stored.id, revokedAt: null },
+        data: { revokedAt: new Date() },
+    });
+    if (count === 0) throw invalid("Refresh token already used");
+
+    const { user, ...session } = stored.session;
+    const tokens = await issueSessionTokens(prisma, user, session);
+    return { user, session, ...tokens };
+}
+
+module.exports = {
+    TokenError,
+    hashToken,
+    signAccessToken,
+    verifyAccessToken,
+    issueSessionTokens,
+    rotateRefreshToken,
+};
@@ -0,0 +1,28 @@
+const { ValidationError } = require("./errors");
+
+// checks `value` against a zod schema and returns the parsed data; `codes`
+// gives fields with a well-known failure their own error code, e.g.
+// { code: "missing_code" }, otherwise the code is validation_failed
+function parse(schema, value, { codes = {} } = {}) {
+    const result = schema.safeParse(value ?? {});
+    if (result.success) return result.data;
+
+    const errors = result.error.issues.map((issue) => ({
+        path: issue.path.join("."),
+        message: issue.message,
+    }));
+    const field = errors.find((e) => codes[e.path]);
+    const code = field ? codes[field.path] : undefined;
+    const message = field ? field.message : "Request body is invalid";
+    throw new ValidationError(message, errors, code);
+}
+
+// route middleware: replaces req.body with the parsed (and stripped) body
+function validate(schema, options) {
+    return (req, res, next) => {
+        req.body = parse(schema, req.body, options);
+        next();
+    };
+}
+
+module.exports = { parse, validate };
@@ -0,0 +1,27 @@
+// restoreAccount honours the grace period the user was told about
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { restoreAccount, AccountDeletedError } = require("../src/utils/accountDeletion");
+const { createFakePrisma } = require("./helpers/fakePrisma");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const now = new Date("2026-03-01T12:00:00Z");
+const deletedUser = (purgeAt) => ({ id: 7, deletedAt: new Date(purgeAt.getTime() - 30 * DAY_MS), purgeAt });
+
+test("within the grace period the deletion is taken back", async () => {
+    const user = deletedUser(new Date(now.getTime() + DAY_MS));
+    const restored = await restoreAccount(createFakePrisma({ users: [user] }), user, now);
+    assert.equal(restored.deletedAt, null);
+    assert.equal(restored.purgeAt, null);
+});
+
+test("at or after purgeAt the account counts as purged", async () => {
+    for (const purgeAt of [now, new Date(now.getTime() - 1)]) {
+        const user = deletedUser(purgeAt);
+        await assert.rejects(restoreAccount(createFakePrisma({ users: [user] }), user, now), (e) =>
+            e instanceof AccountDeletedError && e.status === 403 && e.code === "account_deleted");
+        assert.equal(user.purgeAt, purgeAt);
+    }
+});
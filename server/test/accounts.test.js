@@ -0,0 +1,63 @@
+// upsertProviderUser: who gets a User row, and with which email
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { upsertProviderUser, AccountConflictError } = require("../src/utils/accounts");
+const { createFakePrisma } = require("./helpers/fakePrisma");
+
+const profile = (overrides) => ({
+    providerAccountId: "gh-1",
+    email: "alice@example.com",
+    emailVerified: true,
+    name: "Alice",
+    picture: null,
+    ...overrides,
+});
+
+test("a verified email signs up with it", async () => {
+    const prisma = createFakePrisma();
+    const { user, account, signup } = await upsertProviderUser(prisma, "github", profile(), {
+        beforeSignup: async () => "admitted",
+    });
+    assert.equal(user.email, "alice@example.com");
+    assert.equal(account.email, "alice@example.com");
+    assert.equal(signup, "admitted");
+});
+
+test("an unverified email can't sign up, so it can't squat the address", async () => {
+    const users = [];
+    const prisma = createFakePrisma({ users });
+    let asked = false;
+    await assert.rejects(
+        upsertProviderUser(prisma, "oidc", profile({ emailVerified: false }), { beforeSignup: () => { asked = true; } }),
+        (e) => e.status === 403 && e.code === "email_unverified",
+    );
+    assert.equal(asked, false);
+    assert.deepEqual(users, []);
+
+    // the real owner signs up afterwards without a conflict
+    const { user } = await upsertProviderUser(prisma, "github", profile());
+    assert.equal(user.email, "alice@example.com");
+});
+
+test("an existing account signs in with an unverified email, which stays on the account", async () => {
+    const prisma = createFakePrisma({
+        users: [{ id: 1, email: "alice@example.com", syncProfile: false }],
+        accounts: [{ id: 2, userId: 1, provider: "oidc", providerAccountId: "sub-1", email: "alice@example.com" }],
+    });
+    const { user, account } = await upsertProviderUser(prisma, "oidc", profile({
+        providerAccountId: "sub-1",
+        email: "alice@elsewhere.example",
+        emailVerified: false,
+    }));
+    assert.equal(user.email, "alice@example.com");
+    assert.equal(account.email, "alice@elsewhere.example");
+});
+
+test("a verified email never takes over a user who already has a sign-in method", async () => {
+    const prisma = createFakePrisma({
+        users: [{ id: 1, email: "alice@example.com", syncProfile: true }],
+        accounts: [{ id: 2, userId: 1, provider: "google", providerAccountId: "g-1", email: "alice@example.com" }],
+    });
+    await assert.rejects(upsertProviderUser(prisma, "github", profile()), AccountConflictError);
+});
@@ -0,0 +1,56 @@
+// the admin user API's destructive actions leave an audit trail
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+const adminRouter = require("../src/routes/admin");
+const { errorHandler } = require("../src/middleware/errorHandler");
+const { createFakePrisma } = require("./helpers/fakePrisma");
+
+const users = [
+    { id: 1, email: "admin@example.com", role: "ADMIN" },
+    { id: 2, email: "bob@example.com", role: "USER" },
+];
+const authEvents = [];
+const prisma = createFakePrisma({ users, authEvents });
+
+let server;
+let api;
+
+before(async () => {
+    const app = express();
+    // stands in for requireAuth + authorize("admin")
+    app.use((req, res, next) => {
+        req.user = users[0];
+        next();
+    });
+    app.use("/admin", adminRouter(prisma));
+    app.use(errorHandler());
+    await new Promise((resolve) => {
+        server = app.listen(0, "127.0.0.1", resolve);
+    });
+    api = `http://127.0.0.1:${server.address().port}/admin`;
+});
+after(() => server.close());
+
+test("deleting a user records who deleted whom", async () => {
+    const res = await fetch(`${api}/users/2`, { method: "DELETE" });
+    assert.equal(res.status, 204);
+    assert.deepEqual(users.map((u) => u.id), [1]);
+
+    assert.equal(authEvents.length, 1);
+    const [event] = authEvents;
+    assert.equal(event.type, "ACCOUNT_PURGED");
+    assert.equal(event.reason, "admin");
+    assert.equal(event.userId, null);
+    assert.deepEqual(event.metadata, { userId: 2, email: "bob@example.com", actorId: 1 });
+});
+
+test("a refused delete records nothing", async () => {
+    authEvents.length = 0;
+    const self = await fetch(`${api}/users/1`, { method: "DELETE" });
+    assert.equal(self.status, 409);
+    assert.equal((await self.json()).code, "self_lockout");
+    assert.equal((await fetch(`${api}/users/99`, { method: "DELETE" })).status, 404);
+    assert.deepEqual(authEvents, []);
+});
@@ -0,0 +1,103 @@
+// the admin audit log export: CSV cells that spreadsheets would run, and a client that reads slowly
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const express = require("express");
+
+const auditRouter = require("../src/routes/audit");
+
+// `count` events, newest first, behind the one delegate call the router makes
+function fakePrisma(count, event) {
+    const calls = [];
+    return {
+        calls,
+        authEvent: {
+            findMany: async ({ where, take }) => {
+                calls.push(where.id ? where.id.lt : null);
+                const below = where.id ? where.id.lt : count + 1;
+                const ids = [];
+                for (let id = below - 1; id >= 1 && ids.length < take; id--) ids.push(id);
+                return ids.map((id) => ({ id, createdAt: new Date(0), type: "LOGIN_FAILURE", ...event(id) }));
+            },
+        },
+    };
+}
+
+function listen(prisma) {
+    const app = express();
+    app.use("/audit", auditRouter(prisma));
+    return new Promise((resolve) => {
+        const server = app.listen(0, "127.0.0.1", () => resolve(server));
+    });
+}
+
+function get(server, path) {
+    return new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${server.address().port}${path}`, resolve).on("error", reject);
+    });
+}
+
+async function body(res) {
+    let text = "";
+    for await (const chunk of res) text += chunk;
+    return text;
+}
+
+describe("csv cells", () => {
+    let server;
+    before(async () => {
+        const payloads = ["=HYPERLINK(\"http://evil\")", "+1+1", "-2", "@SUM(A1)", "\t=1", "\r=1", "curl/8.4.0"];
+        server = await listen(fakePrisma(payloads.length, (id) => ({ userAgent: payloads[id - 1], reason: null })));
+    });
+    after(() => server.close());
+
+    test("a leading formula character is escaped with a quote", async () => {
+        const res = await get(server, "/audit?format=csv");
+        assert.equal(res.headers["content-type"], "text/csv; charset=utf-8");
+        const rows = (await body(res)).trimEnd().split("\n");
+        const userAgents = rows.slice(1).map((row) => row.split(",")[6]);
+        assert.deepEqual(userAgents, [
+            "curl/8.4.0",
+            "\"'\r=1\"",
+            "'\t=1",
+            "'@SUM(A1)",
+            "'-2",
+            "'+1+1",
+            "\"'=HYPERLINK(\"\"http://evil\"\")\"",
+        ]);
+    });
+});
+
+describe("a slow client", () => {
+    const total = 1600;
+    const prisma = fakePrisma(total, () => ({ userAgent: "x".repeat(8 * 1024), reason: "invalid_grant" }));
+    let server;
+    before(async () => {
+        server = await listen(prisma);
+    });
+    after(() => server.close());
+
+    test("the export waits for the client instead of buffering every batch", async () => {
+        const res = await get(server, "/audit?format=ndjson");
+        res.pause();
+        // 500 events of ~8 kB fill the socket; the next query waits for 'drain'
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        assert.equal(prisma.calls.length, 1);
+
+        const lines = (await body(res)).trimEnd().split("\n");
+        assert.equal(lines.length, total);
+        assert.equal(JSON.parse(lines.at(-1)).id, 1);
+        assert.equal(prisma.calls.length, 4);
+    });
+
+    test("stops querying when the client goes away", async () => {
+        prisma.calls.length = 0;
+        const res = await get(server, "/audit?format=csv");
+        res.pause();
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        res.destroy();
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        // at most the batch that was in flight when the socket closed
+        assert.ok(prisma.calls.length <= 2, `queried ${prisma.calls.length} batches`);
+    });
+});
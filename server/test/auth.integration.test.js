@@ -0,0 +1,195 @@
+// full login flow against the fake OIDC provider and a real database:
+// start -> callback -> /api/me -> refresh rotation -> logout.
+//
+// Needs TEST_DATABASE_URL (a Postgres the tests may create schemas in) and a
+// generated Prisma client; every run migrates its own schema and drops it after.
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const createApp = require("../src/app");
+const { loadConfig } = require("../src/config");
+const { createFakeOidcProvider, googleEndpoints } = require("../src/dev/fakeOidcProvider");
+const createGoogleProvider = require("../src/providers/google");
+const { requestDeletion } = require("../src/utils/accountDeletion");
+
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const REDIRECT_URI = "http://localhost:3000/oauth2/redirect";
+
+function listen(handler) {
+    return new Promise((resolve) => {
+        const server = http.createServer(handler);
+        server.listen(0, "127.0.0.1", () => resolve(server));
+    });
+}
+
+const baseUrl = (server) => `http://127.0.0.1:${server.address().port}`;
+
+// name=value pairs from Set-Cookie, the way a browser would send them back
+function cookieJar() {
+    const cookies = new Map();
+    return {
+        store(res) {
+            for (const header of res.headers.getSetCookie()) {
+                const [pair, ...attrs] = header.split(";");
+                const [name, value] = pair.split("=");
+                const expired = attrs.some((a) => /^\s*expires=Thu, 01 Jan 1970/i.test(a));
+                if (expired || !value) cookies.delete(name.trim());
+                else cookies.set(name.trim(), value);
+            }
+        },
+        get: (name) => cookies.get(name),
+        header: () => [...cookies].map(([k, v]) => `${k}=${v}`).join("; "),
+    };
+}
+
+describe("auth flow", { skip: !DATABASE_URL && "TEST_DATABASE_URL is not set" }, () => {
+    const schema = `test_${process.pid}_${Date.now()}`;
+    const jar = cookieJar();
+    let prisma;
+    let idpServer;
+    let appServer;
+    let api;
+
+    before(async () => {
+        const url = new URL(DATABASE_URL);
+        url.searchParams.set("schema", schema);
+        execFileSync(process.execPath, [require.resolve("prisma/build/index.js"), "migrate", "deploy"], {
+            cwd: path.join(__dirname, ".."),
+            env: { ...process.env, DATABASE_URL: url.toString() },
+            stdio: "pipe",
+        });
+
+        const { PrismaClient } = require("@prisma/client");
+        prisma = new PrismaClient({ datasources: { db: { url: url.toString() } } });
+
+        idpServer = await listen();
+        const issuer = baseUrl(idpServer);
+        const idp = createFakeOidcProvider({ issuer, clients: { "test-client": "test-secret" } });
+        idpServer.on("request", idp.app);
+
+        const googleClient = createGoogleProvider({
+            clientId: "test-client",
+            clientSecret: "test-secret",
+            redirectUri: REDIRECT_URI,
+            endpoints: googleEndpoints(issuer),
+        });
+        const config = loadConfig({
+            APP_ENV: "test",
+            DATABASE_URL: url.toString(),
+            JWT_SECRET: crypto.randomBytes(32).toString("hex"),
+            TOKEN_ENCRYPTION_KEY: crypto.randomBytes(32).toString("base64"),
+        });
+        appServer = await listen(createApp({ prisma, googleClient, config }));
+        api = baseUrl(appServer);
+    });
+
+    after(async () => {
+        appServer?.close();
+        idpServer?.close();
+        if (prisma) {
+            await prisma.$executeRawUnsafe(`DROP SCHEMA IF EXISTS "${schema}" CASCADE`);
+            await prisma.$disconnect();
+        }
+    });
+
+    let authorizeUrl;
+    let callback;
+
+    test("start redirects to the provider and sets the state cookie", async () => {
+        const res = await fetch(`${api}/api/auth/google/start`, { redirect: "manual" });
+        assert.equal(res.status, 302);
+        jar.store(res);
+        assert.ok(jar.get("oauth_state"));
+
+        authorizeUrl = new URL(res.headers.get("location"));
+        assert.equal(authorizeUrl.searchParams.get("state"), jar.get("oauth_state"));
+        assert.equal(authorizeUrl.searchParams.get("code_challenge_method"), "S256");
+    });
+
+    test("the provider sends the browser back with a code", async () => {
+        authorizeUrl.searchParams.set("login_hint", "fake-alice");
+        const res = await fetch(authorizeUrl, { redirect: "manual" });
+        assert.equal(res.status, 302);
+        const back = new URL(res.headers.get("location"));
+        assert.equal(`${back.origin}${back.pathname}`, REDIRECT_URI);
+        callback = { code: back.searchParams.get("code"), state: back.searchParams.get("state") };
+        assert.ok(callback.code);
+    });
+
+    test("callback signs the user in", async () => {
+        const res = await fetch(`${api}/api/auth/google/callback`, {
+            method: "POST",
+            headers: { "content-type": "application/json", cookie: jar.header() },
+            body: JSON.stringify(callback),
+        });
+        assert.equal(res.status, 200);
+        jar.store(res);
+        const body = await res.json();
+        assert.equal(body.user.email, "alice@example.com");
+        assert.ok(jar.get("access_token"));
+        assert.ok(jar.get("refresh_token"));
+        assert.equal(jar.get("oauth_state"), undefined);
+    });
+
+    test("the same callback can't be replayed", async () => {
+        const res = await fetch(`${api}/api/auth/google/callback`, {
+            method: "POST",
+            headers: { "content-type": "application/json", cookie: `oauth_state=${callback.state}` },
+            body: JSON.stringify(callback),
+        });
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).code, "state_expired");
+    });
+
+    test("/api/me returns the signed-in user", async () => {
+        const res = await fetch(`${api}/api/me`, { headers: { cookie: jar.header() } });
+        assert.equal(res.status, 200);
+        const body = await res.json();
+        assert.equal(body.user.email, "alice@example.com");
+        assert.ok(body.expiresAt);
+    });
+
+    test("refresh rotates the refresh token", async () => {
+        const previous = jar.get("refresh_token");
+        const res = await fetch(`${api}/api/auth/refresh`, { method: "POST", headers: { cookie: jar.header() } });
+        assert.equal(res.status, 200);
+        jar.store(res);
+        assert.notEqual(jar.get("refresh_token"), previous);
+        assert.ok(jar.get("access_token"));
+
+        const me = await fetch(`${api}/api/me`, { headers: { cookie: jar.header() } });
+        assert.equal(me.status, 200);
+    });
+
+    test("logout ends the session", async () => {
+        const access = jar.get("access_token");
+        const refresh = jar.get("refresh_token");
+        const res = await fetch(`${api}/api/auth/logout`, { method: "POST", headers: { cookie: jar.header() } });
+        assert.equal(res.status, 204);
+        jar.store(res);
+        assert.equal(jar.get("access_token"), undefined);
+
+        const me = await fetch(`${api}/api/me`, { headers: { authorization: `Bearer ${access}` } });
+        assert.equal(me.status, 401);
+        const again = await fetch(`${api}/api/auth/refresh`, {
+            method: "POST",
+            headers: { "content-type": "application/json" },
+            body: JSON.stringify({ refreshToken: refresh }),
+        });
+        assert.equal(again.status, 401);
+    });
+
+    test("two admins deleting themselves at once leave one admin", async () => {
+        const admins = await Promise.all(["root-1@example.com", "root-2@example.com"].map((email) =>
+            prisma.user.create({ data: { email, role: "ADMIN" } })));
+        const results = await Promise.allSettled(admins.map((admin) => requestDeletion(prisma, admin)));
+
+        assert.deepEqual(results.map((r) => r.status).sort(), ["fulfilled", "rejected"]);
+        assert.equal(results.find((r) => r.status === "rejected").reason.code, "last_admin");
+        assert.equal(await prisma.user.count({ where: { role: "ADMIN", deletedAt: null } }), 1);
+    });
+});
@@ -0,0 +1,71 @@
+// downloadAvatar only fetches https pictures from allowed hosts that resolve to public addresses
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { downloadAvatar } = require("../src/utils/avatars");
+
+const HOSTS = ["googleusercontent.com", "avatars.githubusercontent.com"];
+
+// stands in for an internal service; no test may reach it
+let server;
+let hits = 0;
+before(async () => {
+    server = http.createServer((req, res) => {
+        hits += 1;
+        res.writeHead(200, { "Content-Type": "image/png" });
+        res.end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+});
+after(() => {
+    server.close();
+    assert.equal(hits, 0);
+});
+
+// a resolver that answers `address` for every name and notes what it was asked
+function resolveTo(address) {
+    const asked = [];
+    const lookup = (hostname, options, callback) => {
+        asked.push(hostname);
+        callback(null, [{ address, family: address.includes(":") ? 6 : 4 }]);
+    };
+    return { asked, lookup };
+}
+
+test("only https URLs on an allowed host are requested", async () => {
+    const { port } = server.address();
+    const { asked, lookup } = resolveTo("127.0.0.1");
+    for (const url of [
+        `http://127.0.0.1:${port}/a.png`,
+        "http://lh3.googleusercontent.com/a.png",
+        "https://169.254.169.254/latest/meta-data/",
+        "https://intranet.example/a.png",
+        "https://googleusercontent.com.evil.example/a.png",
+        "file:///etc/passwd",
+        "not a url",
+    ]) {
+        await assert.rejects(downloadAvatar(url, { hosts: [...HOSTS, "127.0.0.1"], lookup }), url);
+    }
+    assert.deepEqual(asked, []);
+});
+
+test("an allowed host resolving to an internal address is refused before connecting", async () => {
+    for (const address of ["127.0.0.1", "10.1.2.3", "169.254.169.254", "192.168.0.10", "::1", "fd00::1", "::ffff:127.0.0.1"]) {
+        const { asked, lookup } = resolveTo(address);
+        await assert.rejects(
+            downloadAvatar("https://lh3.googleusercontent.com/a/photo.jpg", { hosts: HOSTS, lookup }),
+            /resolves to internal address/,
+        );
+        assert.deepEqual(asked, ["lh3.googleusercontent.com"]);
+    }
+});
+
+test("extra hosts come from the hosts option", async () => {
+    const { asked, lookup } = resolveTo("10.0.0.5");
+    await assert.rejects(
+        downloadAvatar("https://cdn.idp.example/u/1.png", { hosts: [...HOSTS, "idp.example"], lookup }),
+        /resolves to internal address/,
+    );
+    assert.deepEqual(asked, ["cdn.idp.example"]);
+});
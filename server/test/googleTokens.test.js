@@ -0,0 +1,136 @@
+// getGoogleAccessToken against a local mock of Google's token endpoint
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const express = require("express");
+
+const { loadConfig, setConfig } = require("../src/config");
+const createGoogleProvider = require("../src/providers/google");
+const { encrypt, decrypt } = require("../src/utils/secretBox");
+const { getGoogleAccessToken, ReauthRequiredError } = require("../src/utils/googleTokens");
+const { createFakePrisma } = require("./helpers/fakePrisma");
+
+describe("getGoogleAccessToken", () => {
+    let server;
+    let google;
+    let requests;
+    // what the token endpoint answers next: [status, body]
+    let reply;
+
+    before(async () => {
+        setConfig(loadConfig({
+            APP_ENV: "test",
+            JWT_SECRET: crypto.randomBytes(32).toString("hex"),
+            TOKEN_ENCRYPTION_KEY: crypto.randomBytes(32).toString("base64"),
+        }));
+
+        const app = express();
+        app.use(express.urlencoded({ extended: false }));
+        app.post("/token", (req, res) => {
+            requests.push(req.body);
+            res.status(reply[0]).json(reply[1]);
+        });
+        await new Promise((resolve) => {
+            server = app.listen(0, "127.0.0.1", resolve);
+        });
+
+        google = createGoogleProvider({
+            clientId: "client-id",
+            clientSecret: "client-secret",
+            redirectUri: "http://localhost:3000/oauth2/redirect",
+            endpoints: { tokenUrl: `http://127.0.0.1:${server.address().port}/token` },
+        });
+    });
+
+    after(() => server.close());
+
+    let account;
+    let prisma;
+
+    beforeEach(() => {
+        requests = [];
+        reply = [200, { access_token: "new-access", expires_in: 3600, scope: "openid email", token_type: "Bearer" }];
+        account = {
+            id: 1,
+            userId: 7,
+            provider: "google",
+            accessToken: encrypt("old-access"),
+            refreshToken: encrypt("refresh-1"),
+            scope: "openid email",
+            expiresAt: new Date(Date.now() - 1000),
+            updatedAt: new Date(),
+        };
+        prisma = createFakePrisma({ accounts: [account] });
+    });
+
+    test("refreshes an expired access token with the stored refresh token", async () => {
+        const result = await getGoogleAccessToken(prisma, google, 7);
+
+        assert.equal(result.accessToken, "new-access");
+        assert.ok(result.expiresAt.getTime() > Date.now());
+        assert.equal(requests.length, 1);
+        assert.deepEqual(
+            { grant_type: requests[0].grant_type, refresh_token: requests[0].refresh_token, client_id: requests[0].client_id },
+            { grant_type: "refresh_token", refresh_token: "refresh-1", client_id: "client-id" }
+        );
+        // stored encrypted; Google sent no new refresh token, so the old one stays
+        assert.equal(decrypt(account.accessToken), "new-access");
+        assert.equal(decrypt(account.refreshToken), "refresh-1");
+    });
+
+    test("uses a fresh access token without calling the endpoint", async () => {
+        account.expiresAt = new Date(Date.now() + 30 * 60 * 1000);
+
+        const result = await getGoogleAccessToken(prisma, google, 7);
+
+        assert.equal(result.accessToken, "old-access");
+        assert.equal(requests.length, 0);
+    });
+
+    test("stores a rotated refresh token and uses it next time", async () => {
+        reply = [200, { access_token: "new-access", refresh_token: "refresh-2", expires_in: 3600 }];
+
+        await getGoogleAccessToken(prisma, google, 7, { forceRefresh: true });
+        assert.equal(decrypt(account.refreshToken), "refresh-2");
+
+        await getGoogleAccessToken(prisma, google, 7, { forceRefresh: true });
+        assert.equal(requests[1].refresh_token, "refresh-2");
+    });
+
+    test("concurrent callers share one refresh request", async () => {
+        const results = await Promise.all([
+            getGoogleAccessToken(prisma, google, 7),
+            getGoogleAccessToken(prisma, google, 7),
+        ]);
+
+        assert.equal(requests.length, 1);
+        assert.deepEqual(results.map((r) => r.accessToken), ["new-access", "new-access"]);
+    });
+
+    test("invalid_grant clears the stored tokens and asks for consent again", async () => {
+        reply = [400, { error: "invalid_grant", error_description: "Token has been expired or revoked." }];
+
+        await assert.rejects(getGoogleAccessToken(prisma, google, 7), (error) => {
+            assert.ok(error instanceof ReauthRequiredError);
+            assert.equal(error.code, "reauth_required");
+            return true;
+        });
+        assert.equal(account.refreshToken, null);
+        assert.equal(account.accessToken, null);
+        assert.equal(account.expiresAt, null);
+
+        // nothing left to refresh with, no further request
+        await assert.rejects(getGoogleAccessToken(prisma, google, 7), ReauthRequiredError);
+        assert.equal(requests.length, 1);
+    });
+
+    test("other token endpoint errors are passed through", async () => {
+        reply = [500, { error: "backend_error" }];
+
+        await assert.rejects(getGoogleAccessToken(prisma, google, 7), (error) => {
+            assert.equal(error.code, "provider_unavailable");
+            return true;
+        });
+        assert.equal(decrypt(account.refreshToken), "refresh-1");
+    });
+});
@@ -0,0 +1,93 @@
+// an in-memory stand-in for the Prisma calls the unit tests reach, over the
+// User, Account, Invitation and AuthEvent models. Rows are the plain objects the test passes in, so it
+// can look at them afterwards; reads hand out copies, like the real client.
+//
+// `where` matches fields by equality, `{ not }` / `{ gt }` / `{ lt }` and the compound
+// `provider_providerAccountId` key; `include` follows Account.user and User.accounts.
+
+const DEFAULTS = {
+    user: () => ({ role: "USER", syncProfile: true, deletedAt: null, purgeAt: null }),
+    account: () => ({ email: null, accessToken: null, refreshToken: null, scope: null, expiresAt: null }),
+    invitation: () => ({ invitedById: null, acceptedById: null, acceptedAt: null, revokedAt: null }),
+    authEvent: () => ({ userId: null, provider: null, reason: null, metadata: null }),
+};
+
+function matches(row, where = {}) {
+    return Object.entries(where).every(([key, cond]) => {
+        if (key === "provider_providerAccountId") return matches(row, cond);
+        if (cond instanceof Date || cond === null || typeof cond !== "object") {
+            return row[key] instanceof Date && cond instanceof Date
+                ? row[key].getTime() === cond.getTime()
+                : row[key] === cond;
+        }
+        if ("not" in cond && row[key] === cond.not) return false;
+        if ("gt" in cond && !(row[key] > cond.gt)) return false;
+        if ("lt" in cond && !(row[key] < cond.lt)) return false;
+        return true;
+    });
+}
+
+function createFakePrisma({ users = [], accounts = [], invitations = [], authEvents = [] } = {}) {
+    const tables = { user: users, account: accounts, invitation: invitations, authEvent: authEvents };
+    let nextId = 1000;
+
+    function read(model, row, include = {}) {
+        if (!row) return null;
+        const out = { ...row };
+        if (model === "account" && include.user) out.user = { ...users.find((u) => u.id === row.userId) };
+        if (model === "user" && include.accounts) {
+            out.accounts = accounts.filter((a) => a.userId === row.id).map((a) => ({ ...a }));
+        }
+        return out;
+    }
+
+    function insert(model, data) {
+        const now = new Date();
+        const row = { id: nextId++, ...DEFAULTS[model](), createdAt: now, ...data };
+        if (model === "account") row.updatedAt = now;
+        tables[model].push(row);
+        return row;
+    }
+
+    function touch(model, row, data) {
+        Object.assign(row, data);
+        if (model === "account") row.updatedAt = new Date();
+    }
+
+    function delegate(model) {
+        const rows = tables[model];
+        const find = (where) => rows.find((r) => matches(r, where));
+        return {
+            findUnique: async ({ where, include }) => read(model, find(where), include),
+            findFirst: async ({ where, include }) => read(model, find(where), include),
+            findMany: async ({ where, include } = {}) =>
+                rows.filter((r) => matches(r, where)).map((r) => read(model, r, include)),
+            create: async ({ data, include }) => {
+                const { accounts: nested, ...fields } = data;
+                const row = insert(model, fields);
+                if (nested) insert("account", { userId: row.id, ...nested.create });
+                return read(model, row, include);
+            },
+            update: async ({ where, data, include }) => {
+                const row = find(where);
+                if (!row) throw new Error(`No ${model} matches ${JSON.stringify(where)}`);
+                touch(model, row, data);
+                return read(model, row, include);
+            },
+            updateMany: async ({ where, data }) => {
+                const hits = rows.filter((r) => matches(r, where));
+                for (const row of hits) touch(model, row, data);
+                return { count: hits.length };
+            },
+            delete: async ({ where }) => {
+                const index = rows.findIndex((r) => matches(r, where));
+                if (index === -1) throw new Error(`No ${model} matches ${JSON.stringify(where)}`);
+                return rows.splice(index, 1)[0];
+            },
+        };
+    }
+
+    return Object.fromEntries(Object.keys(tables).map((model) => [model, delegate(model)]));
+}
+
+module.exports = { createFakePrisma };
@@ -0,0 +1,79 @@
+// the JWKS key store: caching, key rotation and unknown kids, against a local JWKS endpoint
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+
+const { createKeyStore, IdTokenError } = require("../src/utils/idToken");
+
+function signingKey(kid) {
+    const { publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    return { ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" };
+}
+
+const oldKey = signingKey("old");
+const newKey = signingKey("new");
+
+let served;
+let fetches;
+let server;
+let jwksUri;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        fetches += 1;
+        res.writeHead(200, { "Content-Type": "application/json", "Cache-Control": "public, max-age=3600" });
+        res.end(JSON.stringify({ keys: served }));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    jwksUri = `http://127.0.0.1:${server.address().port}/jwks`;
+});
+after(() => server.close());
+
+beforeEach(() => {
+    served = [oldKey];
+    fetches = 0;
+});
+
+// a key store on a clock the test moves
+function store() {
+    const clock = { t: 1_000_000 };
+    return { clock, keyStore: createKeyStore({ jwksUri, now: () => clock.t }) };
+}
+
+test("keys are cached for the response's max-age", async () => {
+    const { clock, keyStore } = store();
+    await keyStore.getKey("old");
+    await keyStore.getKey("old");
+    assert.equal(fetches, 1);
+
+    clock.t += 3600 * 1000;
+    await keyStore.getKey("old");
+    assert.equal(fetches, 2);
+});
+
+test("an unknown kid reloads once, then fails fast for a minute", async () => {
+    const { clock, keyStore } = store();
+    await keyStore.getKey("old");
+    clock.t += 60 * 1000;
+
+    await assert.rejects(keyStore.getKey("forged"), IdTokenError);
+    assert.equal(fetches, 2);
+    for (const kid of ["forged", "forged-2", "new"]) {
+        await assert.rejects(keyStore.getKey(kid), /No signing key for kid/);
+    }
+    assert.equal(fetches, 2);
+
+    // a minute later the provider has rotated and the new key is picked up
+    served = [oldKey, newKey];
+    clock.t += 60 * 1000;
+    assert.ok(await keyStore.getKey("new"));
+    assert.equal(fetches, 3);
+});
+
+test("concurrent lookups share one request", async () => {
+    const { keyStore } = store();
+    served = [oldKey, newKey];
+    await Promise.all([keyStore.getKey("old"), keyStore.getKey("new"), keyStore.getKey("old")]);
+    assert.equal(fetches, 1);
+});
@@ -0,0 +1,110 @@
+// signing up with Microsoft, whose tokens carry no email_verified, against a local Entra ID stand-in
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const jwt = require("jsonwebtoken");
+
+const createMicrosoftProvider = require("../src/providers/microsoft");
+const createOidcProvider = require("../src/providers/oidc");
+const { upsertProviderUser, AccountConflictError } = require("../src/utils/accounts");
+const { createFakePrisma } = require("./helpers/fakePrisma");
+
+const CLIENT_ID = "client-id";
+const TENANT = "72f988bf-86f1-41af-91ab-2d7cd011db47";
+const NONCE = "nonce-1";
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+let server;
+let authority;
+
+before(async () => {
+    // discovery for any tenant path, and the keys
+    server = http.createServer((req, res) => {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        if (req.url === "/keys") {
+            res.end(JSON.stringify({ keys: [{ ...publicKey.export({ format: "jwk" }), kid: "k1", use: "sig" }] }));
+            return;
+        }
+        res.end(JSON.stringify({
+            issuer: `${authority}/{tenantid}/v2.0`,
+            jwks_uri: `${authority}/keys`,
+            authorization_endpoint: `${authority}/authorize`,
+            token_endpoint: `${authority}/token`,
+        }));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    authority = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+function idToken(claims, { issuer = `${authority}/${TENANT}/v2.0`, audience = CLIENT_ID } = {}) {
+    return jwt.sign(
+        { sub: "ms-sub-1", tid: TENANT, nonce: NONCE, name: "Alice", email: "alice@contoso.example", ...claims },
+        privateKey,
+        { algorithm: "RS256", keyid: "k1", issuer, audience, expiresIn: 300 },
+    );
+}
+
+function microsoft(options) {
+    return createMicrosoftProvider({ clientId: CLIENT_ID, clientSecret: "secret", redirectUri: "http://localhost/cb", authority, ...options });
+}
+
+async function signUp(provider, claims) {
+    const profile = await provider.fetchProfile({ id_token: idToken(claims) }, { nonce: NONCE });
+    return upsertProviderUser(createFakePrisma(), provider.id, profile);
+}
+
+describe("microsoft", () => {
+    test("xms_edov marks the email verified, so a new user signs up", async () => {
+        const { user, account } = await signUp(microsoft(), { xms_edov: true });
+        assert.equal(user.email, "alice@contoso.example");
+        assert.equal(account.provider, "microsoft");
+        assert.equal(account.providerAccountId, "ms-sub-1");
+    });
+
+    test("a trusted tenant vouches for its users' addresses", async () => {
+        const { user } = await signUp(microsoft({ trustedTenants: [TENANT.toUpperCase()] }), {});
+        assert.equal(user.email, "alice@contoso.example");
+    });
+
+    test("without either the email counts as unverified", async () => {
+        await assert.rejects(signUp(microsoft({ trustedTenants: ["another-tenant"] }), { xms_edov: false }), {
+            status: 403,
+            code: "email_unverified",
+        });
+    });
+
+    test("a UPN in preferred_username is not taken for an email", async () => {
+        const provider = microsoft({ trustedTenants: [TENANT] });
+        const profile = await provider.fetchProfile(
+            { id_token: idToken({ email: undefined, preferred_username: "alice@contoso.onmicrosoft.com" }) },
+            { nonce: NONCE },
+        );
+        assert.equal(profile.email, undefined);
+        assert.equal(profile.emailVerified, false);
+        await assert.rejects(upsertProviderUser(createFakePrisma(), "microsoft", profile), AccountConflictError);
+    });
+
+    test("a token from another tenant's issuer is refused", async () => {
+        const provider = microsoft();
+        await assert.rejects(
+            provider.fetchProfile({ id_token: idToken({ xms_edov: true }, { issuer: `${authority}/other/v2.0` }) }, { nonce: NONCE }),
+            { code: "invalid_id_token" },
+        );
+    });
+});
+
+describe("generic OIDC", () => {
+    const oidc = (options) => createOidcProvider({
+        id: "oidc", label: "SSO", issuer: authority, clientId: CLIENT_ID, validateIssuer: () => true, ...options,
+    });
+    const profileOf = (provider, claims) => provider.fetchProfile({ id_token: idToken(claims) }, { nonce: NONCE });
+
+    test("an issuer without email_verified is only trusted when configured to be", async () => {
+        assert.equal((await profileOf(oidc(), {})).emailVerified, false);
+        assert.equal((await profileOf(oidc({ trustEmail: true }), {})).emailVerified, true);
+        assert.equal((await profileOf(oidc({ trustEmail: true }), { email_verified: false })).emailVerified, false);
+        assert.equal((await profileOf(oidc(), { email_verified: true })).emailVerified, true);
+    });
+});
@@ -0,0 +1,114 @@
+// rate limits keyed by the account the route resolves and the callback's IP lockout, against the in-memory store
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DEFAULT_ROUTES, buildRouteConfig, createRateLimits } = require("../src/rateLimit");
+const createMemoryStore = require("../src/rateLimit/memoryStore");
+const { TooManyRequestsError } = require("../src/utils/errors");
+
+// a fixed clock at the start of a window, so sliding windows don't carry anything over
+function setup(routes = DEFAULT_ROUTES) {
+    const clock = { t: 60 * 60 * 1000 * 1000 };
+    const now = () => clock.t;
+    const { limit } = createRateLimits({ store: createMemoryStore({ now }), routes, now });
+    return { clock, limit };
+}
+
+// runs `middleware` for a request from `ip`; resolves to the error passed to next(), if any
+function call(middleware, ip) {
+    const req = { ip, body: {}, cookies: {} };
+    return new Promise((resolve) => middleware(req, {}, (error) => resolve({ req, error })));
+}
+
+test("the callback's account windows count across IPs", async () => {
+    const { limit } = setup();
+    const callback = limit("auth:callback");
+
+    for (let i = 0; i < 5; i++) {
+        const { req, error } = await call(callback, `198.51.100.${i}`);
+        assert.equal(error, undefined);
+        await callback.checkAccount(req, "google:1234");
+    }
+    const { req, error } = await call(callback, "203.0.113.9");
+    assert.equal(error, undefined, "a fresh IP still gets past the per-IP window");
+    await assert.rejects(callback.checkAccount(req, "google:1234"), (e) =>
+        e instanceof TooManyRequestsError && e.code === "rate_limited" && e.retryAfterMs > 0);
+    // other accounts are not affected
+    await callback.checkAccount(req, "google:5678");
+});
+
+test("refreshes are limited per user", async () => {
+    const { limit } = setup();
+    const refresh = limit("auth:refresh");
+
+    for (let i = 0; i < 30; i++) {
+        const { req } = await call(refresh, `198.51.100.${i}`);
+        await refresh.checkAccount(req, "42");
+    }
+    const { req } = await call(refresh, "203.0.113.9");
+    await assert.rejects(refresh.checkAccount(req, "42"), TooManyRequestsError);
+});
+
+test("failures lock the IP out, other IPs still get in", async () => {
+    const { routes } = buildRouteConfig({
+        overrides: { "auth:callback": { lockout: { threshold: 3, windowMs: 60000, durationMs: 60000 } } },
+    });
+    const { clock, limit } = setup(routes);
+    const callback = limit("auth:callback");
+
+    for (let i = 0; i < 3; i++) {
+        const { req, error } = await call(callback, "198.51.100.1");
+        assert.equal(error, undefined);
+        await callback.recordFailure(req);
+    }
+    const { error } = await call(callback, "198.51.100.1");
+    assert.ok(error instanceof TooManyRequestsError);
+    assert.equal(error.code, "locked_out");
+    assert.equal((await call(callback, "203.0.113.9")).error, undefined);
+
+    clock.t += 60000;
+    assert.equal((await call(callback, "198.51.100.1")).error, undefined);
+});
+
+test("a successful sign-in forgets the IP's failures", async () => {
+    const { routes } = buildRouteConfig({
+        overrides: { "auth:callback": { lockout: { threshold: 2, windowMs: 60000, durationMs: 60000 } } },
+    });
+    const { limit } = setup(routes);
+    const callback = limit("auth:callback");
+
+    const { req } = await call(callback, "198.51.100.1");
+    await callback.recordFailure(req);
+    await callback.reset(req);
+    await callback.recordFailure(req);
+    assert.equal((await call(callback, "198.51.100.1")).error, undefined);
+});
+
+test("a failing store is logged, not thrown", async () => {
+    const broken = () => Promise.reject(new Error("store down"));
+    const store = { get: broken, increment: broken, set: broken, delete: broken };
+    const { limit } = createRateLimits({ store, routes: DEFAULT_ROUTES });
+    const callback = limit("auth:callback");
+    const req = { ip: "198.51.100.1", body: {}, cookies: {} };
+
+    const logged = [];
+    const original = console.error;
+    console.error = (...args) => logged.push(args.join(" "));
+    try {
+        await callback.recordFailure(req);
+        await callback.reset(req);
+    } finally {
+        console.error = original;
+    }
+    assert.equal(logged.length, 2);
+    assert.match(logged[0], /store down/);
+});
+
+test("account limits can be configured", () => {
+    assert.doesNotThrow(() => buildRouteConfig({
+        overrides: { "auth:refresh": { limits: [{ by: "account", windowMs: 1000, max: 1 }] } },
+    }));
+    assert.throws(() => buildRouteConfig({
+        overrides: { "auth:refresh": { limits: [{ by: "email", windowMs: 1000, max: 1 }] } },
+    }), /unknown key "email"/);
+});
@@ -0,0 +1,118 @@
+// admitSignup under each SIGNUP_POLICY, with allowlisted emails and invitations
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { loadConfig, setConfig } = require("../src/config");
+const { admitSignup, SignupPolicyError } = require("../src/utils/signupPolicy");
+const { createInvitation } = require("../src/utils/invitations");
+const { createFakePrisma } = require("./helpers/fakePrisma");
+
+function usePolicy(env = {}) {
+    setConfig(loadConfig({
+        APP_ENV: "test",
+        JWT_SECRET: crypto.randomBytes(32).toString("hex"),
+        TOKEN_ENCRYPTION_KEY: crypto.randomBytes(32).toString("base64"),
+        ...env,
+    }));
+}
+
+const profile = (overrides) => ({
+    providerAccountId: "g-1",
+    email: "alice@example.com",
+    emailVerified: true,
+    ...overrides,
+});
+
+const refusedWith = (code) => (e) => e instanceof SignupPolicyError && e.status === 403 && e.code === code;
+
+describe("open", () => {
+    test("anyone signs up", async () => {
+        usePolicy({ SIGNUP_POLICY: "open" });
+        assert.equal(await admitSignup(createFakePrisma(), profile({ emailVerified: false })), null);
+    });
+});
+
+describe("allowlisted emails", () => {
+    test("a verified allowlisted email is admitted under any policy", async () => {
+        usePolicy({ SIGNUP_POLICY: "invite", SIGNUP_ALLOWED_EMAILS: "Alice@Example.com, bob@example.com" });
+        assert.equal(await admitSignup(createFakePrisma(), profile({ email: "ALICE@example.com" })), null);
+    });
+
+    test("an unverified one is not", async () => {
+        usePolicy({ SIGNUP_POLICY: "invite", SIGNUP_ALLOWED_EMAILS: "alice@example.com" });
+        await assert.rejects(admitSignup(createFakePrisma(), profile({ emailVerified: false })), refusedWith("invite_required"));
+    });
+});
+
+describe("domain", () => {
+    test("the Google Workspace domain is admitted", async () => {
+        usePolicy({ SIGNUP_POLICY: "domain", SIGNUP_DOMAINS: "corp.example" });
+        const p = profile({ email: "alice@gmail.example", emailVerified: false, hostedDomain: "Corp.Example" });
+        assert.equal(await admitSignup(createFakePrisma(), p), null);
+    });
+
+    test("a verified email on the domain is admitted", async () => {
+        usePolicy({ SIGNUP_POLICY: "domain", SIGNUP_DOMAINS: "example.com" });
+        assert.equal(await admitSignup(createFakePrisma(), profile()), null);
+    });
+
+    test("an unverified email on the domain is refused", async () => {
+        usePolicy({ SIGNUP_POLICY: "domain", SIGNUP_DOMAINS: "example.com" });
+        await assert.rejects(admitSignup(createFakePrisma(), profile({ emailVerified: false })), refusedWith("forbidden_domain"));
+    });
+
+    test("other domains are refused", async () => {
+        usePolicy({ SIGNUP_POLICY: "domain", SIGNUP_DOMAINS: "corp.example" });
+        await assert.rejects(admitSignup(createFakePrisma(), profile()), refusedWith("forbidden_domain"));
+    });
+});
+
+describe("invite", () => {
+    async function invited(email = "alice@example.com") {
+        const prisma = createFakePrisma();
+        const { invitation, token } = await createInvitation(prisma, { email, invitedById: 1 });
+        return { prisma, invitation, token };
+    }
+
+    test("without an invitation sign-up is refused", async () => {
+        usePolicy({ SIGNUP_POLICY: "invite" });
+        await assert.rejects(admitSignup(createFakePrisma(), profile()), refusedWith("invite_required"));
+    });
+
+    test("a pending invitation for the verified email is used", async () => {
+        usePolicy({ SIGNUP_POLICY: "invite" });
+        const { prisma, invitation, token } = await invited();
+        const used = await admitSignup(prisma, profile({ email: "Alice@Example.com" }), token);
+        assert.equal(used.id, invitation.id);
+    });
+
+    test("an unknown, expired, revoked or used token is invalid, even under the open policy", async () => {
+        usePolicy({ SIGNUP_POLICY: "open" });
+        const { prisma, invitation, token } = await invited();
+        await assert.rejects(admitSignup(prisma, profile(), "made-up"), refusedWith("invite_invalid"));
+
+        for (const change of [
+            { expiresAt: new Date(Date.now() - 1000) },
+            { revokedAt: new Date() },
+            { acceptedAt: new Date(), acceptedById: 2 },
+        ]) {
+            const saved = { ...invitation };
+            await prisma.invitation.update({ where: { id: invitation.id }, data: change });
+            await assert.rejects(admitSignup(prisma, profile(), token), refusedWith("invite_invalid"));
+            await prisma.invitation.update({ where: { id: invitation.id }, data: saved });
+        }
+    });
+
+    test("an invitation for a different email is refused", async () => {
+        usePolicy({ SIGNUP_POLICY: "invite" });
+        const { prisma, token } = await invited("bob@example.com");
+        await assert.rejects(admitSignup(prisma, profile(), token), refusedWith("invite_email_mismatch"));
+    });
+
+    test("an invitation needs the email to be verified", async () => {
+        usePolicy({ SIGNUP_POLICY: "invite" });
+        const { prisma, token } = await invited();
+        await assert.rejects(admitSignup(prisma, profile({ emailVerified: false }), token), refusedWith("invite_email_mismatch"));
+    });
+});
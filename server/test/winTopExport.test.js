@@ -0,0 +1,55 @@
+// win-top's headless formatters: JSON lines, CSV and Prometheus text
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { toJsonLine, csvHeader, toCsvRows, toPrometheus, parseListenAddress } = require("../win-top/export");
+
+const RECORD = {
+    time: new Date("2026-01-01T00:00:00.000Z"),
+    system: {
+        cpu: 12.5, totalMem: 1000, usedMem: 400, procCount: 2, uptimeSec: 60,
+        estPowerW: 10, cpuW: 8, memW: 2, extra: "dropped",
+    },
+    battery: null,
+    powerProfile: "performance",
+    processes: [
+        { pid: 1, name: "init", cmd: "/sbin/init", cpuPct: 0.5, memBytes: 100, estW: 0.1, user: "dropped" },
+        { pid: 2, name: 'say "hi"', cmd: "echo a,b\nc", cpuPct: 1, memBytes: 200, estW: 0.2 },
+    ],
+};
+
+test("toJsonLine keeps only the documented fields", () => {
+    const line = toJsonLine(RECORD);
+    assert.ok(line.endsWith("\n"));
+    const parsed = JSON.parse(line);
+    assert.equal(parsed.time, "2026-01-01T00:00:00.000Z");
+    assert.equal(parsed.system.extra, undefined);
+    assert.equal(parsed.processes[0].user, undefined);
+    assert.equal(parsed.processes[1].name, 'say "hi"');
+});
+
+test("CSV has one row per process and quotes what needs it", () => {
+    assert.equal(csvHeader().split(",").length, 12);
+    assert.deepEqual(toCsvRows(RECORD).split("\n").slice(0, 1), [
+        "2026-01-01T00:00:00.000Z,12.5,400,1000,10,2,1,init,0.5,100,0.1,/sbin/init",
+    ]);
+    assert.ok(toCsvRows(RECORD).endsWith(',2,"say ""hi""",1,200,0.2,"echo a,b\nc"\n'));
+});
+
+test("Prometheus text escapes label values and skips what is unknown", () => {
+    const text = toPrometheus({ ...RECORD, system: { ...RECORD.system, uptimeSec: undefined } });
+    assert.match(text, /^# HELP wintop_cpu_percent /);
+    assert.match(text, /\nwintop_cpu_percent 12\.5\n/);
+    assert.match(text, /\nwintop_power_watts\{component="cpu"\} 8\n/);
+    assert.match(text, /\nwintop_process_memory_bytes\{pid="2",name="say \\"hi\\""\} 200\n/);
+    assert.match(text, /\nwintop_power_profile_info\{profile="performance"\} 1\n/);
+    assert.doesNotMatch(text, /wintop_uptime_seconds|wintop_battery/);
+});
+
+test("parseListenAddress", () => {
+    assert.deepEqual(parseListenAddress("9100"), { host: undefined, port: 9100 });
+    assert.deepEqual(parseListenAddress(":9100"), { host: undefined, port: 9100 });
+    assert.deepEqual(parseListenAddress("127.0.0.1:9100"), { host: "127.0.0.1", port: 9100 });
+    assert.equal(parseListenAddress("70000"), null);
+    assert.equal(parseListenAddress("localhost"), null);
+});
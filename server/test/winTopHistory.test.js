@@ -0,0 +1,48 @@
+// win-top's ring buffers and per-process sample history
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createRingBuffer, summarize, createHistory } = require("../win-top/history");
+
+describe("createRingBuffer", () => {
+    test("keeps the newest `capacity` items, oldest first", () => {
+        const ring = createRingBuffer(3);
+        assert.deepEqual(ring.toArray(), []);
+        assert.equal(ring.last(), undefined);
+        for (let i = 1; i <= 5; i++) ring.push(i);
+        assert.equal(ring.size, 3);
+        assert.deepEqual(ring.toArray(), [3, 4, 5]);
+        assert.equal(ring.last(), 5);
+    });
+});
+
+test("summarize", () => {
+    assert.equal(summarize([]), null);
+    assert.deepEqual(summarize([2, 8, 5]), { min: 2, max: 8, avg: 5 });
+});
+
+describe("createHistory", () => {
+    const system = { cpu: 150, totalMem: 200, usedMem: 50, estPowerW: 12 };
+    const row = (pid, name, cpuPct = 1) => ({ pid, name, cpuPct, memBytes: 10, estW: 0.5 });
+
+    test("clamps cpu and turns memory into a percentage", () => {
+        const history = createHistory(4);
+        history.record(1, system, []);
+        assert.deepEqual(history.system.last(), { t: 1, cpu: 100, memPct: 25, estW: 12 });
+    });
+
+    test("drops an exited process unless it is kept", () => {
+        const history = createHistory(4);
+        history.record(1, system, [row(1, "a"), row(2, "b")]);
+        history.record(2, system, [], 2);
+        assert.equal(history.process(1), undefined);
+        assert.deepEqual(history.process(2).toArray().map((e) => e.t), [1]);
+    });
+
+    test("a reused pid starts a fresh history", () => {
+        const history = createHistory(4);
+        history.record(1, system, [row(7, "old", 3)]);
+        history.record(2, system, [row(7, "new", 9)]);
+        assert.deepEqual(history.process(7).toArray(), [{ t: 2, name: "new", cpuPct: 9, memBytes: 10, estW: 0.5 }]);
+    });
+});
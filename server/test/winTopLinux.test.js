@@ -0,0 +1,120 @@
+// win-top's Linux backend against recorded /proc and /sys trees in test/fixtures/win-top/linux
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fsp = require("fs").promises;
+const path = require("path");
+
+const { createLinuxBackend } = require("../win-top/backends/linux");
+
+const FIXTURES = path.join(__dirname, "fixtures", "win-top", "linux");
+
+function backendFor(name, options = {}) {
+    return createLinuxBackend({
+        procRoot: path.join(FIXTURES, name, "proc"),
+        sysRoot: path.join(FIXTURES, name, "sys"),
+        clockTicks: 100,
+        pageSize: 4096,
+        ...options,
+    });
+}
+
+const byPid = (a, b) => a.pid - b.pid;
+
+describe("laptop", () => {
+    test("init reads the core count and model from cpuinfo", async () => {
+        assert.deepEqual(await backendFor("laptop").init(), {
+            logicalCores: 4,
+            cpuModel: "11th Gen Intel(R) Core(TM) i7-1165G7 @ 2.80GHz",
+        });
+    });
+
+    test("sampleSystem", async () => {
+        const { cpu, ...rest } = await backendFor("laptop").sampleSystem();
+        // the first sample is the average since boot
+        assert.equal(cpu, (1 - 8200 / 9780) * 100);
+        assert.deepEqual(rest, {
+            totalMem: 16303428 * 1024,
+            usedMem: (16303428 - 9801728) * 1024,
+            procCount: 5,
+            uptimeSec: 93784,
+        });
+    });
+
+    test("sampleSystem measures cpu against the previous sample", async () => {
+        let statFile = "stat";
+        const fs = {
+            ...fsp,
+            readFile: (file, encoding) =>
+                fsp.readFile(path.basename(file) === "stat" && path.dirname(file).endsWith("proc")
+                    ? path.join(path.dirname(file), statFile)
+                    : file, encoding),
+        };
+        const backend = backendFor("laptop", { fs });
+
+        await backend.sampleSystem();
+        statFile = "stat.later";
+        const { cpu } = await backend.sampleSystem();
+        // 450 ticks elapsed, 300 of them idle
+        assert.equal(Math.round(cpu * 100) / 100, 33.33);
+    });
+
+    test("sampleProcesses", async () => {
+        const processes = await backendFor("laptop").sampleProcesses();
+        assert.deepEqual(processes.sort(byPid), [
+            { pid: 1, name: "systemd", cmd: "/sbin/init splash", cpuSec: 2, memBytes: 2500 * 4096 },
+            { pid: 42, name: "kworker/2:1-events", cmd: "", cpuSec: 0.03, memBytes: 0 },
+            {
+                pid: 1234,
+                name: "Web Content (x)",
+                cmd: "/usr/lib/firefox/firefox -contentproc -childID 3 tab",
+                cpuSec: 50,
+                memBytes: 51200 * 4096,
+            },
+            { pid: 5678, name: "tmux: server", cmd: "tmux", cpuSec: 0.45, memBytes: 1024 * 4096 },
+        ]);
+    });
+
+    test("sampleBattery skips the AC adapter", async () => {
+        assert.deepEqual(await backendFor("laptop").sampleBattery(), { charge: 87, status: "Discharging" });
+    });
+
+    test("samplePowerProfile is the cpufreq governor", async () => {
+        assert.equal(await backendFor("laptop").samplePowerProfile(), "powersave");
+    });
+});
+
+// a pre-3.14 ARM board: no MemAvailable, no /proc/uptime, no battery, no cpufreq
+describe("old-arm", () => {
+    test("init falls back to Hardware for the model", async () => {
+        assert.deepEqual(await backendFor("old-arm").init(), { logicalCores: 2, cpuModel: "BCM2835" });
+    });
+
+    test("sampleSystem without MemAvailable counts free, buffers and cache as available", async () => {
+        const { cpu, ...rest } = await backendFor("old-arm").sampleSystem();
+        assert.equal(cpu, (1 - 3100 / 4000) * 100);
+        assert.deepEqual(rest, {
+            totalMem: 949448 * 1024,
+            usedMem: (949448 - 102400 - 51200 - 204800) * 1024,
+            procCount: 1,
+            uptimeSec: null,
+        });
+    });
+
+    test("sampleProcesses splits the name at the last ')'", async () => {
+        assert.deepEqual(await backendFor("old-arm").sampleProcesses(), [
+            { pid: 301, name: "a) b", cmd: "./a) b --flag", cpuSec: 0.2, memBytes: 256 * 4096 },
+        ]);
+    });
+
+    test("sampleBattery is null without a Battery supply", async () => {
+        assert.equal(await backendFor("old-arm").sampleBattery(), null);
+    });
+
+    test("samplePowerProfile is Unknown without cpufreq", async () => {
+        assert.equal(await backendFor("old-arm").samplePowerProfile(), "Unknown");
+    });
+
+    test("sampleBattery is null without /sys", async () => {
+        assert.equal(await backendFor("old-arm", { sysRoot: path.join(FIXTURES, "missing") }).sampleBattery(), null);
+    });
+});
@@ -0,0 +1,111 @@
+// win-top's PowerShell backend against PowerShell output captured in test/fixtures/win-top/powershell
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { SCRIPTS, createPowerShellBackend } = require("../win-top/backends/powershell");
+
+const FIXTURES = path.join(__dirname, "fixtures", "win-top", "powershell");
+
+const fixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), "utf8"));
+
+// a session that answers each script with its fixture; `results` overrides by script name
+function fakeSession(results = {}) {
+    const requests = [];
+    return {
+        requests,
+        async request(script) {
+            const name = Object.keys(SCRIPTS).find((key) => SCRIPTS[key] === script) || script;
+            requests.push(name);
+            const result = name in results ? results[name] : fixture(name);
+            if (result instanceof Error) throw result;
+            return result;
+        },
+        close() {
+            requests.push("close");
+        },
+    };
+}
+
+describe("captured output", () => {
+    const backend = createPowerShellBackend({ session: fakeSession() });
+
+    test("init", async () => {
+        assert.deepEqual(await backend.init(), {
+            logicalCores: 8,
+            cpuModel: "Intel(R) Core(TM) i5-8250U CPU @ 1.60GHz",
+        });
+    });
+
+    test("sampleSystem", async () => {
+        assert.deepEqual(await backend.sampleSystem(), {
+            cpu: 12.734829,
+            totalMem: 8261528 * 1024,
+            usedMem: (8261528 - 2065382) * 1024,
+            procCount: 214,
+            uptimeSec: 181532,
+        });
+    });
+
+    test("sampleProcesses", async () => {
+        assert.deepEqual(await backend.sampleProcesses(), [
+            { pid: 0, name: "System Idle Process", cmd: "", cpuSec: 169332.8125, memBytes: 8192 },
+            { pid: 4, name: "System", cmd: "", cpuSec: 2.375, memBytes: 2031616 },
+            {
+                pid: 7340,
+                name: "Code (Insiders).exe",
+                cmd: "\"C:\\Users\\dev\\AppData\\Local\\Programs\\Microsoft VS Code Insiders\\Code - Insiders.exe\" --type=renderer",
+                cpuSec: 18.015625,
+                memBytes: 187691008,
+            },
+        ]);
+    });
+
+    test("sampleBattery", async () => {
+        assert.deepEqual(await backend.sampleBattery(), { charge: 64, status: "AC/Online" });
+    });
+
+    test("samplePowerProfile", async () => {
+        assert.equal(await backend.samplePowerProfile(), "Balanced");
+    });
+});
+
+describe("fallbacks", () => {
+    test("a desktop without Win32_Battery has no battery", async () => {
+        const backend = createPowerShellBackend({ session: fakeSession({ battery: null }) });
+        assert.equal(await backend.sampleBattery(), null);
+    });
+
+    test("a single process comes back as an object, not an array", async () => {
+        const [, system] = fixture("processes");
+        const backend = createPowerShellBackend({ session: fakeSession({ processes: system }) });
+        assert.deepEqual(await backend.sampleProcesses(), [
+            { pid: 4, name: "System", cmd: "", cpuSec: 2.375, memBytes: 2031616 },
+        ]);
+    });
+
+    test("failed requests fall back instead of throwing", async () => {
+        const failed = new Error("PowerShell exited");
+        const backend = createPowerShellBackend({
+            session: fakeSession({ init: failed, system: failed, processes: failed, battery: failed, powerScheme: failed }),
+        });
+        assert.deepEqual(await backend.init(), { logicalCores: os.cpus().length, cpuModel: "Unknown CPU" });
+        const system = await backend.sampleSystem();
+        assert.equal(system.cpu, 0);
+        assert.equal(system.totalMem, os.totalmem());
+        assert.equal(system.uptimeSec, null);
+        assert.deepEqual(await backend.sampleProcesses(), []);
+        assert.equal(await backend.sampleBattery(), null);
+        assert.equal(await backend.samplePowerProfile(), "Unknown");
+    });
+
+    test("kill reports a failure and close closes the session", async () => {
+        const session = fakeSession({ "Stop-Process -Id 7340 -Force": new Error("Cannot find a process") });
+        const backend = createPowerShellBackend({ session });
+        await assert.rejects(backend.kill("7340"), /Cannot find a process/);
+        backend.close();
+        assert.deepEqual(session.requests, ["Stop-Process -Id 7340 -Force", "close"]);
+    });
+});
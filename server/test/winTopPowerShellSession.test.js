@@ -0,0 +1,167 @@
+// createPowerShellSession's line protocol against a fake PowerShell child
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter, once } = require("events");
+const { PassThrough } = require("stream");
+const readline = require("readline");
+
+const { SamplerError, createPowerShellSession } = require("../win-top/backends/powershellSession");
+
+// stands in for `spawn`; every child it starts is kept in `children`
+function fakeSpawn() {
+    const children = [];
+    function spawn(command, args, options) {
+        const child = new EventEmitter();
+        child.command = command;
+        child.args = args;
+        child.options = options;
+        child.stdin = new PassThrough();
+        child.stdout = new PassThrough();
+        child.killed = false;
+        child.requests = [];
+        child.seen = 0;
+        child.kill = () => {
+            child.killed = true;
+            setImmediate(() => child.emit("exit", null, "SIGTERM"));
+        };
+        // what the session writes, one request per line
+        readline.createInterface({ input: child.stdin }).on("line", (line) => {
+            child.requests.push(JSON.parse(line));
+            child.emit("request", child.requests.at(-1));
+        });
+        child.reply = (message) => child.stdout.write(JSON.stringify(message) + "\n");
+        children.push(child);
+        return child;
+    }
+    return { spawn, children };
+}
+
+// the next request the child has not been asked about yet; stdin may already have delivered it
+async function nextRequest(child) {
+    if (child.seen === child.requests.length) await once(child, "request");
+    return child.requests[child.seen++];
+}
+
+test("starts PowerShell with the loop script as an encoded command", async () => {
+    const { spawn, children } = fakeSpawn();
+    const session = createPowerShellSession({ spawn, command: "pwsh" });
+    const pending = session.request("Get-Date");
+
+    const [child] = children;
+    assert.equal(child.command, "pwsh");
+    assert.deepEqual(child.args.slice(0, 3), ["-NoProfile", "-NonInteractive", "-EncodedCommand"]);
+    assert.match(Buffer.from(child.args[3], "base64").toString("utf16le"), /ConvertTo-Json/);
+    assert.deepEqual(child.options.stdio, ["pipe", "pipe", "ignore"]);
+
+    const { id, script } = await nextRequest(child);
+    assert.equal(script, "Get-Date");
+    child.reply({ id, ok: true, result: "today" });
+    assert.equal(await pending, "today");
+    session.close();
+});
+
+test("matches responses to requests by id, in any order", async () => {
+    const { spawn, children } = fakeSpawn();
+    const session = createPowerShellSession({ spawn });
+    const first = session.request("1");
+    const second = session.request("2");
+
+    const [child] = children;
+    const a = await nextRequest(child);
+    const b = await nextRequest(child);
+    child.reply({ id: b.id, ok: true, result: { n: 2 } });
+    child.reply({ id: a.id, ok: true, result: { n: 1 } });
+
+    assert.deepEqual(await Promise.all([first, second]), [{ n: 1 }, { n: 2 }]);
+    assert.equal(session.starts, 1);
+    session.close();
+});
+
+test("ok: false rejects with a SamplerError carrying the message", async () => {
+    const { spawn, children } = fakeSpawn();
+    const session = createPowerShellSession({ spawn });
+    const pending = session.request("Get-CimInstance Nope");
+
+    const { id } = await nextRequest(children[0]);
+    children[0].reply({ id, ok: false, error: "Invalid class" });
+    await assert.rejects(pending, (e) => e instanceof SamplerError && e.message === "Invalid class");
+    session.close();
+});
+
+test("skips a byte order mark, stray output and unknown ids", async () => {
+    const { spawn, children } = fakeSpawn();
+    const session = createPowerShellSession({ spawn });
+    const pending = session.request("Get-Date");
+
+    const [child] = children;
+    const { id } = await nextRequest(child);
+    child.stdout.write("WARNING: something PowerShell felt like saying\n");
+    child.reply({ id: id + 100, ok: true, result: "not ours" });
+    child.stdout.write("\uFEFF" + JSON.stringify({ id, ok: true, result: 42 }) + "\n");
+
+    assert.equal(await pending, 42);
+    session.close();
+});
+
+test("a timeout kills the child and fails every pending request", async () => {
+    const { spawn, children } = fakeSpawn();
+    const session = createPowerShellSession({ spawn, timeoutMs: 50 });
+    const slow = session.request("Start-Sleep 60");
+    const queued = session.request("Get-Date");
+
+    await assert.rejects(slow, (e) => e instanceof SamplerError && /timed out after 50ms/.test(e.message));
+    await assert.rejects(queued, (e) => e instanceof SamplerError && /restarted after a timeout/.test(e.message));
+    assert.equal(children[0].killed, true);
+
+    // the next request gets a fresh child
+    const next = session.request("Get-Date");
+    assert.equal(session.starts, 2);
+    const { id } = await nextRequest(children[1]);
+    children[1].reply({ id, ok: true, result: "fresh" });
+    assert.equal(await next, "fresh");
+    session.close();
+});
+
+test("an exit mid-request fails it and the next request respawns", async () => {
+    const { spawn, children } = fakeSpawn();
+    const session = createPowerShellSession({ spawn });
+    const pending = session.request("Get-Date");
+
+    await nextRequest(children[0]);
+    children[0].emit("exit", 1, null);
+    await assert.rejects(pending, (e) => e instanceof SamplerError && e.message === "PowerShell sampler exited (1)");
+
+    const next = session.request("Get-Date");
+    assert.equal(session.starts, 2);
+    const { id } = await nextRequest(children[1]);
+    // a late line from the dead child changes nothing
+    children[0].reply({ id, ok: true, result: "stale" });
+    children[1].reply({ id, ok: true, result: "fresh" });
+    assert.equal(await next, "fresh");
+    session.close();
+});
+
+test("a spawn error fails the pending request", async () => {
+    const { spawn, children } = fakeSpawn();
+    const session = createPowerShellSession({ spawn });
+    const pending = session.request("Get-Date");
+
+    children[0].emit("error", Object.assign(new Error("spawn powershell ENOENT"), { code: "ENOENT" }));
+    await assert.rejects(pending, /PowerShell sampler failed: spawn powershell ENOENT/);
+    session.close();
+});
+
+test("close fails pending requests, ends the child and refuses new ones", async () => {
+    const { spawn, children } = fakeSpawn();
+    const session = createPowerShellSession({ spawn });
+    const pending = session.request("Get-Date");
+    const [child] = children;
+    await nextRequest(child);
+
+    session.close();
+    await assert.rejects(pending, /PowerShell sampler is closed/);
+    assert.equal(child.killed, true);
+    assert.equal(child.stdin.writableEnded, true);
+    await assert.rejects(session.request("Get-Date"), (e) => e instanceof SamplerError && /closed/.test(e.message));
+    assert.equal(session.starts, 1);
+});
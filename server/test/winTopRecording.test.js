@@ -0,0 +1,102 @@
+// win-top recordings written by createRecorder and read back by readRecording
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const fsp = fs.promises;
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+
+const { RECORDING_VERSION, createRecorder, readRecording } = require("../win-top/recording");
+
+const HEADER = { backend: "linux", label: "Linux", host: "box", logicalCores: 4, intervalMs: 1000 };
+
+let dir;
+before(async () => {
+    dir = await fsp.mkdtemp(path.join(os.tmpdir(), "win-top-recording-"));
+});
+after(async () => {
+    await fsp.rm(dir, { recursive: true, force: true });
+});
+
+function frame(i) {
+    return {
+        time: new Date(Date.UTC(2026, 0, 1, 0, 0, i)),
+        system: { cpu: i, totalMem: 100, usedMem: i },
+        processes: [{ pid: 10 + i, name: `p${i}`, cpuPct: i, memBytes: i * 1024 }],
+        battery: null,
+        powerProfile: "balanced",
+    };
+}
+
+// one sample per tick, so every sample is flushed before the next is written
+async function record(file, count) {
+    const recorder = createRecorder(file, HEADER, (e) => assert.fail(e));
+    for (let i = 0; i < count; i++) {
+        recorder.write(frame(i));
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    await new Promise((resolve) => recorder.close(resolve));
+}
+
+function assertSample(sample, i) {
+    const { time, ...rest } = frame(i);
+    assert.deepEqual(sample, { type: "sample", time, ...rest });
+}
+
+test("a closed recording reads back whole", async () => {
+    const file = path.join(dir, "whole.ndjson.gz");
+    await record(file, 4);
+
+    const { header, samples, truncated } = await readRecording(file);
+    assert.equal(truncated, false);
+    assert.equal(header.version, RECORDING_VERSION);
+    assert.equal(header.host, "box");
+    assert.equal(samples.length, 4);
+    samples.forEach(assertSample);
+});
+
+test("a recording cut short reads up to its last complete sample", async () => {
+    const file = path.join(dir, "cut.ndjson.gz");
+    await record(file, 5);
+    // drop the gzip trailer and the tail of the last sample, as a killed session leaves it
+    const { size } = await fsp.stat(file);
+    await fsp.truncate(file, size - 20);
+
+    const { header, samples, truncated } = await readRecording(file);
+    assert.equal(truncated, true);
+    assert.equal(header.host, "box");
+    assert.equal(samples.length, 4);
+    samples.forEach(assertSample);
+});
+
+test("plain NDJSON with a torn last line", async () => {
+    const file = path.join(dir, "plain.ndjson");
+    const { time, ...rest } = frame(0);
+    await fsp.writeFile(file, [
+        JSON.stringify({ type: "header", version: RECORDING_VERSION, ...HEADER }),
+        JSON.stringify({ type: "sample", time: time.toISOString(), ...rest }),
+        '{"type":"sample","ti',
+    ].join("\n"));
+
+    const { samples, truncated } = await readRecording(file);
+    assert.equal(truncated, true);
+    assert.equal(samples.length, 1);
+    assertSample(samples[0], 0);
+});
+
+test("refuses files that are not recordings", async () => {
+    const file = path.join(dir, "other.gz");
+    await fsp.writeFile(file, zlib.gzipSync('{"hello":"world"}\n'));
+    await assert.rejects(readRecording(file), /not a win-top recording/);
+});
+
+test("refuses a newer recording format", async () => {
+    const file = path.join(dir, "newer.ndjson");
+    await fsp.writeFile(file, JSON.stringify({ type: "header", version: RECORDING_VERSION + 1 }) + "\n");
+    await assert.rejects(readRecording(file), /is newer than this win-top/);
+});
+
+test("a missing file rejects", async () => {
+    await assert.rejects(readRecording(path.join(dir, "missing.gz")), { code: "ENOENT" });
+});
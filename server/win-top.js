@@ -2,7 +2,7 @@
 /**
  * win-top-advanced.js
  *
- * Advanced, btop-style system monitor for Windows 10/11 in pure Node.js.
+ * Advanced, btop-style system monitor for Windows 10/11 and Linux in pure Node.js.
  *
  * Features:
  * - SYSTEM panel:
@@ -10,13 +10,15 @@
  *   - Memory usage (used/total + bar)
  *   - Uptime, process count
  *   - Estimated system power (CPU + RAM in watts)
+ *   - Sparklines of CPU, memory and power over the last --history minutes
  *   - Battery charge/status (if present)
- *   - Active power scheme (Balanced/High performance/etc.)
+ *   - Active power profile (Windows power scheme, Linux cpufreq governor)
  *   - CPU model + logical cores
  *
  * - PROCESS panel:
  *   - PID, CPU%, Estimated W, MEM, NAME, COMMAND
  *   - Per-process estimated watts from CPU% and RSS
+ *   - Detail view of one process: CPU, memory and watts history, min/max/avg
  *
  * - Interaction:
  *   - c/m/p/n: sort
@@ -24,19 +26,44 @@
  *   - /: filter
  *   - +/-: change refresh interval
  *   - k: kill PID
+ *   - Up/Down: select a process, Enter/d: details (Left/Right scroll, Esc back)
  *   - q / Ctrl+C: quit
  *
+ * - Headless (no TTY needed):
+ *   - --format json|csv [--output file]: one record per tick (JSON lines, or
+ *     one CSV row per process) to stdout or a file
+ *   - --serve [host]:port: Prometheus metrics on /metrics
+ *   - --sort, --filter and --top apply as on screen
+ *
+ * - Record & replay:
+ *   - --record file.ndjson.gz: keep every sample (see win-top/recording.js)
+ *   - --replay file: play a recording through the same screen, on any OS;
+ *     space=pause  ,/.=step  [/]=seek 1 min  +/-=speed
+ *
  * Implementation:
- * - Node.js + PowerShell (Get-CimInstance, Get-Process, Get-Counter, powercfg).
+ * - Node.js + a sampler backend (see win-top/backends):
+ *   - powershell: Get-CimInstance and a PerformanceCounter, all through
+ *     one long-lived PowerShell child
+ *   - linux: /proc and /sys
+ * - Picked by platform, or with --backend powershell|linux.
  * - No external npm deps.
  */
 
-const { exec } = require('child_process');
-const util = require('util');
+const fs = require('fs');
+const http = require('http');
 const os = require('os');
 const readline = require('readline');
-
-const execP = util.promisify(exec);
+const { createBackend } = require('./win-top/backends');
+const { createRecorder, readRecording } = require('./win-top/recording');
+const { createHistory, summarize } = require('./win-top/history');
+const {
+    FORMATS,
+    toJsonLine,
+    csvHeader,
+    toCsvRows,
+    toPrometheus,
+    parseListenAddress,
+} = require('./win-top/export');
 
 // ---------------- CLI args ----------------
 
@@ -51,11 +78,14 @@ function getArg(names, fallback) {
 
 let intervalMs = parseInt(getArg(['--interval', '-i'], '1000'), 10) || 1000;
 let topN = parseInt(getArg(['--top', '-t'], '20'), 10) || 20;
+const historyMinutes = parseFloat(getArg(['--history'], '5')) || 5;
+const recordPath = getArg(['--record'], null);
+const replayPath = getArg(['--replay'], null);
 
-// Power model knobs
-const CPU_TDP_W =
+// Power model knobs; a replay shows the recorded ones
+let CPU_TDP_W =
     parseFloat(getArg(['--cpu-tdp'], process.env.CPU_TDP_W || '15')) || 15;
-const MEM_W_PER_GB =
+let MEM_W_PER_GB =
     parseFloat(getArg(['--mem-watt-gb'], process.env.MEM_W_PER_GB || '1.5')) || 1.5;
 
 // ---------------- ANSI helpers ----------------
@@ -69,6 +99,7 @@ const ansi = {
     cyan: '\x1b[36m',
     dim: '\x1b[2m',
     underline: '\x1b[4m',
+    inverse: '\x1b[7m',
 };
 
 function pad(text, width) {
@@ -93,219 +124,124 @@ function progressBar(percentage, width) {
     return '█'.repeat(filled) + ' '.repeat(empty);
 }
 
-function timestamp() {
-    return new Date().toLocaleTimeString();
+const SPARK_BLOCKS = '▁▂▃▄▅▆▇█';
+
+// one block per value, right-aligned; longer series are averaged into `width` buckets
+function sparkline(values, width, max) {
+    let series = values;
+    if (series.length > width) {
+        series = [];
+        for (let i = 0; i < width; i++) {
+            const from = Math.floor((i * values.length) / width);
+            const to = Math.floor(((i + 1) * values.length) / width);
+            const bucket = values.slice(from, Math.max(to, from + 1));
+            series.push(bucket.reduce((a, b) => a + b, 0) / bucket.length);
+        }
+    }
+    const top = max || Math.max(0, ...series) || 1;
+    const line = series
+        .map((v) => SPARK_BLOCKS[Math.max(0, Math.min(7, Math.round((v / top) * 7)))])
+        .join('');
+    return ' '.repeat(width - series.length) + line;
 }
 
-// ---------------- PowerShell helpers ----------------
+// "45s", "5m", "1h 20m"
+function shortDuration(ms) {
+    const sec = Math.round(ms / 1000);
+    if (sec < 60) return `${sec}s`;
+    const min = Math.round(sec / 60);
+    if (min < 60) return `${min}m`;
+    return `${Math.floor(min / 60)}h ${min % 60}m`;
+}
 
-async function powershellJson(innerCommand) {
-    const cmd =
-        `powershell -NoProfile -Command "Try{ ${innerCommand} | ConvertTo-Json -Depth 4 -Compress } Catch { 'null' }"`;
+function timestamp(time = new Date()) {
+    return time.toLocaleTimeString();
+}
+
+// ---------------- Backend ----------------
+
+// --backend powershell|linux, defaults to the one for this platform;
+// a replay has none, it never samples
+let backend = null;
+if (!replayPath) {
     try {
-        const { stdout } = await execP(cmd, { maxBuffer: 20 * 1024 * 1024 });
-        const out = stdout.trim();
-        if (!out || out === 'null') return null;
-        return JSON.parse(out);
-    } catch {
-        return null;
+        backend = createBackend(getArg(['--backend'], undefined));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
     }
 }
-
-// ---------------- System sampling ----------------
+// title of the screen, the recorded machine's when replaying
+let sourceLabel = backend ? backend.label : '';
 
 let logicalCores = os.cpus().length;
 let cpuModel = 'Unknown CPU';
 
-async function detectLogicalCores() {
-    try {
-        const { stdout } = await execP(
-            'powershell -NoProfile -Command "(Get-CimInstance Win32_ComputerSystem).NumberOfLogicalProcessors"',
-            { maxBuffer: 200000 }
-        );
-        const val = parseInt(stdout.trim(), 10);
-        if (!Number.isNaN(val) && val > 0) logicalCores = val;
-    } catch {
-        // fallback
-    }
+function formatUptime(sec) {
+    if (!Number.isFinite(sec)) return 'N/A';
+    const d = Math.floor(sec / 86400);
+    const h = Math.floor((sec % 86400) / 3600);
+    const m = Math.floor((sec % 3600) / 60);
+    return `${d}d ${h}h ${m}m`;
 }
 
-async function detectCpuModel() {
-    try {
-        const { stdout } = await execP(
-            'powershell -NoProfile -Command "(Get-CimInstance Win32_Processor).Name"',
-            { maxBuffer: 200000 }
-        );
-        const s = stdout.trim();
-        if (s) cpuModel = s.replace(/\s+/g, ' ');
-    } catch {
-        cpuModel = 'Unknown CPU';
-    }
+// ---------------- System sampling ----------------
+
+async function sampleSystem() {
+    const { cpu, totalMem, usedMem, procCount, uptimeSec } = await backend.sampleSystem();
+
+    // Estimated power
+    const cpuPct = Math.max(0, Math.min(100, cpu || 0));
+    const usedMemGB = usedMem / (1024 * 1024 * 1024);
+    const cpuW = (cpuPct / 100) * CPU_TDP_W;
+    const memW = usedMemGB * MEM_W_PER_GB;
+    const estPowerW = cpuW + memW;
+
+    return { cpu, totalMem, usedMem, procCount, uptimeSec, uptime: formatUptime(uptimeSec), estPowerW, cpuW, memW };
 }
 
 async function sampleBattery() {
     try {
-        const data = await powershellJson(
-            'Get-CimInstance Win32_Battery | Select-Object EstimatedChargeRemaining,BatteryStatus'
-        );
-        if (!data) return null;
-        const b = Array.isArray(data) ? data[0] : data;
-        if (!b) return null;
-        const charge = b.EstimatedChargeRemaining;
-        const statusCode = b.BatteryStatus;
-        let status = 'Unknown';
-        switch (statusCode) {
-            case 1: status = 'Discharging'; break;
-            case 2: status = 'AC/Online'; break;
-            case 3: status = 'Fully charged'; break;
-            case 4: status = 'Low'; break;
-            case 5: status = 'Critical'; break;
-            case 6: status = 'Charging'; break;
-            case 7: status = 'Charging (High)'; break;
-            case 8: status = 'Charging (Low)'; break;
-            case 9: status = 'Charging (Critical)'; break;
-            case 10: status = 'Undefined'; break;
-            case 11: status = 'Partially charged'; break;
-            default: status = 'Unknown';
-        }
-        return {
-            charge: Number.isFinite(charge) ? charge : null,
-            status,
-        };
+        return await backend.sampleBattery();
     } catch {
         return null;
     }
 }
 
-async function samplePowerScheme() {
+async function samplePowerProfile() {
     try {
-        const { stdout } = await execP('powercfg /getactivescheme', {
-            maxBuffer: 200000,
-        });
-        const s = stdout.trim();
-        const m = s.match(/\(([^)]+)\)/);
-        if (m && m[1]) return m[1];
-        return s || 'Unknown';
+        return await backend.samplePowerProfile();
     } catch {
         return 'Unknown';
     }
 }
 
-async function sampleSystem() {
-    // CPU (total)
-    let cpu = 0;
-    try {
-        const { stdout } = await execP(
-            "powershell -NoProfile -Command \"(Get-Counter '\\Processor(_Total)\\% Processor Time').CounterSamples.CookedValue\"",
-            { maxBuffer: 200000 }
-        );
-        cpu = parseFloat(stdout.trim()) || 0;
-    } catch {
-        cpu = 0;
-    }
-
-    // Memory
-    let totalMem = os.totalmem();
-    let usedMem = totalMem - os.freemem();
-    try {
-        const memJson = await powershellJson(
-            'Get-CimInstance Win32_OperatingSystem | Select-Object TotalVisibleMemorySize,FreePhysicalMemory'
-        );
-        if (memJson) {
-            const m = Array.isArray(memJson) ? memJson[0] : memJson;
-            const totalKB = m.TotalVisibleMemorySize;
-            const freeKB = m.FreePhysicalMemory;
-            if (totalKB && freeKB) {
-                totalMem = totalKB * 1024;
-                const freeMem = freeKB * 1024;
-                usedMem = Math.max(0, totalMem - freeMem);
-            }
-        }
-    } catch {
-        // fallback
-    }
-
-    // Process count
-    let procCount = 0;
-    try {
-        const { stdout } = await execP(
-            'powershell -NoProfile -Command "(Get-Process).Count"',
-            { maxBuffer: 200000 }
-        );
-        procCount = parseInt(stdout.trim(), 10) || 0;
-    } catch {
-        procCount = 0;
-    }
-
-    // Uptime
-    let uptime = 'N/A';
-    try {
-        const { stdout } = await execP(
-            'powershell -NoProfile -Command "$os = Get-CimInstance Win32_OperatingSystem; $u = (Get-Date) - $os.LastBootUpTime; \'{0}d {1}h {2}m\' -f $u.Days,$u.Hours,$u.Minutes"',
-            { maxBuffer: 200000 }
-        );
-        const s = stdout.trim();
-        if (s) uptime = s;
-    } catch {
-        uptime = 'N/A';
-    }
-
-    // Estimated power
-    const cpuPct = Math.max(0, Math.min(100, cpu || 0));
-    const usedMemGB = usedMem / (1024 * 1024 * 1024);
-    const cpuW = (cpuPct / 100) * CPU_TDP_W;
-    const memW = usedMemGB * MEM_W_PER_GB;
-    const estPowerW = cpuW + memW;
-
-    return { cpu, totalMem, usedMem, procCount, uptime, estPowerW, cpuW, memW };
-}
-
 // ---------------- Process sampling ----------------
 
 // CPU sampling state: pid -> last CPU seconds
 let prevCpuMap = new Map();
 let prevSampleTime = Date.now();
 
-async function sampleProcessesRaw() {
-    const cmd =
-        'Get-CimInstance Win32_Process | ' +
-        'Select-Object ProcessId,Name,CommandLine,KernelModeTime,UserModeTime,WorkingSetSize';
-    const data = await powershellJson(cmd);
-    if (!data) return [];
-    if (Array.isArray(data)) return data;
-    return [data];
-}
-
 async function sampleProcesses() {
+    const raw = await backend.sampleProcesses();
+
     const now = Date.now();
     const dtSec = Math.max((now - prevSampleTime) / 1000, 0.001);
     prevSampleTime = now;
 
-    const raw = await sampleProcessesRaw();
     const rows = [];
 
     for (const p of raw) {
-        const pid = Number(p.ProcessId || 0);
-        const kTicks = Number(p.KernelModeTime || 0);
-        const uTicks = Number(p.UserModeTime || 0);
-        const totalTicks = kTicks + uTicks; // 100ns units
-        const cpuSec = totalTicks / 1e7;
-
-        const prev = prevCpuMap.get(pid) || 0;
-        const delta = Math.max(0, cpuSec - prev);
+        const prev = prevCpuMap.get(p.pid) || 0;
+        const delta = Math.max(0, p.cpuSec - prev);
         const cpuPct = (delta / dtSec) / Math.max(1, logicalCores) * 100;
 
-        const memBytes = Number(p.WorkingSetSize || 0);
-        const memGB = memBytes / (1024 * 1024 * 1024);
+        const memGB = p.memBytes / (1024 * 1024 * 1024);
         const estW = (Math.max(0, cpuPct) / 100) * CPU_TDP_W + memGB * MEM_W_PER_GB;
 
         rows.push({
-            pid,
-            name: p.Name || '',
-            cmd: (p.CommandLine || '').trim(),
-            cpuSec,
+            ...p,
             cpuPct: Number.isFinite(cpuPct) ? cpuPct : 0,
-            memBytes,
             estW: Number.isFinite(estW) ? estW : 0,
         });
     }
@@ -318,9 +254,9 @@ async function sampleProcesses() {
 
 // ---------------- Sorting & filtering ----------------
 
-let sortBy = 'cpu'; // cpu | mem | pid | name | power
-let sortDesc = true;
-let filterStr = '';
+let sortBy = getArg(['--sort'], 'cpu'); // cpu | mem | pid | name | power
+let sortDesc = sortBy !== 'pid' && sortBy !== 'name';
+let filterStr = getArg(['--filter'], '');
 
 function sortAndFilterProcesses(rows) {
     let filtered = rows;
@@ -348,18 +284,51 @@ function sortAndFilterProcesses(rows) {
     return filtered.slice(0, topN);
 }
 
+// ---------------- History & selection ----------------
+
+// enough samples for --history minutes at the starting interval
+function historyCapacity(sampleMs) {
+    return Math.max(60, Math.ceil((historyMinutes * 60000) / sampleMs));
+}
+let history = createHistory(historyCapacity(intervalMs));
+
+let selectedPid = null; // highlighted process row
+let detailPid = null; // process shown in the detail view
+let detailOffset = 0; // detail view: samples scrolled back from the newest
+let shownPids = []; // process rows of the last render, top to bottom
+
+function moveSelection(step) {
+    if (!shownPids.length) return;
+    const idx = shownPids.indexOf(selectedPid);
+    const next = idx === -1 ? 0 : Math.max(0, Math.min(shownPids.length - 1, idx + step));
+    selectedPid = shownPids[next];
+}
+
+function openDetail() {
+    if (selectedPid === null) moveSelection(0);
+    if (selectedPid === null) return;
+    detailPid = selectedPid;
+    detailOffset = 0;
+}
+
+function toggleDetail() {
+    if (detailPid === null) openDetail();
+    else detailPid = null;
+}
+
 // ---------------- Rendering ----------------
 
-function render(system, processes, battery, powerScheme) {
+function render(system, processes, battery, powerProfile, time) {
     console.clear();
 
     const width = process.stdout.columns || 120;
 
     // Title
     process.stdout.write(
-        `${ansi.bold}${ansi.cyan}win-top+ — Windows performance monitor${ansi.reset}   ` +
-        `${ansi.dim}[${timestamp()}]${ansi.reset}\n`
+        `${ansi.bold}${ansi.cyan}win-top+ — ${sourceLabel} performance monitor${ansi.reset}   ` +
+        `${ansi.dim}[${timestamp(time)}]${ansi.reset}\n`
     );
+    if (replay) writeReplayStatus();
 
     // CPU model line
     const trimmedModel =
@@ -375,6 +344,16 @@ function render(system, processes, battery, powerScheme) {
     const memPct = system.totalMem ? (system.usedMem / system.totalMem) * 100 : 0;
     const barWidth = Math.min(40, Math.max(10, Math.floor(width * 0.4)));
 
+    // history under each bar, same width and column
+    const samples = history.system.toArray();
+    const span = samples.length ? shortDuration(samples[samples.length - 1].t - samples[0].t) : '0s';
+    const writeSparkline = (values, max, color, note = '') => {
+        process.stdout.write(
+            ' '.repeat(15) + color + sparkline(values, barWidth, max) + ansi.reset +
+            `   ${ansi.dim}last ${span}${note ? ', ' + note : ''}${ansi.reset}\n`
+        );
+    };
+
     process.stdout.write('\n');
     process.stdout.write(`${ansi.bold}SYSTEM${ansi.reset}\n`);
 
@@ -389,6 +368,7 @@ function render(system, processes, battery, powerScheme) {
         `   ${ansi.dim}Processes:${ansi.reset} ${system.procCount}   ` +
         `${ansi.dim}Uptime:${ansi.reset} ${system.uptime}\n`
     );
+    writeSparkline(samples.map((h) => h.cpu), 100, cpuColor);
 
     // MEM line
     const memBar = progressBar(memPct, barWidth);
@@ -401,6 +381,7 @@ function render(system, processes, battery, powerScheme) {
         `   ${ansi.dim}Used:${ansi.reset} ${humanBytes(system.usedMem)}  ` +
         `${ansi.dim}Total:${ansi.reset} ${humanBytes(system.totalMem)}\n`
     );
+    writeSparkline(samples.map((h) => h.memPct), 100, memColor);
 
     // PWR line
     const totalW = Math.max(0, system.estPowerW || 0);
@@ -414,18 +395,25 @@ function render(system, processes, battery, powerScheme) {
         ? `${battery.charge !== null ? battery.charge + '%' : '?%'} (${battery.status})`
         : 'N/A';
 
-    const schemeStr = powerScheme || 'Unknown';
+    const profileStr = powerProfile || 'Unknown';
 
     process.stdout.write(
         ` PWR  ${ansi.yellow}${pad(pwrStr, 9)}${ansi.reset}` +
         `   ${ansi.dim}${cpuWStr}, ${memWStr}${ansi.reset}` +
-        `   ${ansi.dim}Scheme:${ansi.reset} ${schemeStr}   ` +
+        `   ${ansi.dim}Profile:${ansi.reset} ${profileStr}   ` +
         `${ansi.dim}Battery:${ansi.reset} ${battStr}\n`
     );
+    const peakW = Math.max(0, ...samples.map((h) => h.estW));
+    writeSparkline(samples.map((h) => h.estW), peakW, ansi.yellow, `peak ${peakW.toFixed(1)}W`);
 
     // Separator
     process.stdout.write('\n');
 
+    if (detailPid !== null) {
+        renderDetail(width);
+        return;
+    }
+
     // PROCESSES PANEL
     process.stdout.write(
         `${ansi.bold}PROCESSES${ansi.reset}  ` +
@@ -475,15 +463,251 @@ function render(system, processes, battery, powerScheme) {
             pad(p.name, cols.name) + ' ' +
             pad(p.cmd || '', cols.cmd);
 
-        process.stdout.write(color + line + endColor + '\n');
+        if (p.pid === selectedPid) {
+            process.stdout.write(ansi.inverse + color + line + ansi.reset + '\n');
+        } else {
+            process.stdout.write(color + line + endColor + '\n');
+        }
     }
+    shownPids = processes.map((p) => p.pid);
 
     process.stdout.write('\n');
     process.stdout.write(
         ansi.dim +
         'Keys: c=CPU  m=MEM  p=PID  n=NAME  r=reverse  /=filter  +=faster  -=slower  k=kill  q=quit' +
+        '  ↑/↓=select  enter=details' +
+        ansi.reset + '\n'
+    );
+    if (replay) writeReplayKeys();
+}
+
+function renderDetail(width) {
+    const ring = history.process(detailPid);
+    const entries = ring ? ring.toArray() : [];
+    const last = entries[entries.length - 1];
+    const newest = history.system.last();
+    const running = last && newest && last.t === newest.t;
+
+    process.stdout.write(
+        `${ansi.bold}PROCESS ${detailPid}${ansi.reset}  ${last ? last.name : '?'}` +
+        `${running ? '' : `  ${ansi.red}(exited)${ansi.reset}`}\n`
+    );
+    const row = lastFrame && lastFrame.processes.find((p) => p.pid === detailPid);
+    process.stdout.write(`${ansi.dim}${pad(row ? row.cmd : '', width - 1)}${ansi.reset}\n\n`);
+
+    // one column per sample; Left/Right move the window through the history
+    const chartWidth = Math.max(10, width - 60);
+    detailOffset = Math.max(0, Math.min(detailOffset, entries.length - chartWidth));
+    const end = entries.length - detailOffset;
+    const visible = entries.slice(Math.max(0, end - chartWidth), end);
+
+    process.stdout.write(
+        pad('', 6) + pad('', chartWidth) + '  ' +
+        ansi.underline + pad('NOW', 12) + pad('MIN', 12) + pad('MAX', 12) + pad('AVG', 12) + ansi.reset + '\n'
+    );
+
+    const metrics = [
+        { label: 'CPU%', key: 'cpuPct', max: 100, fmt: (v) => v.toFixed(1) + '%', color: ansi.green },
+        { label: 'MEM', key: 'memBytes', fmt: humanBytes, color: ansi.cyan },
+        { label: 'PWR', key: 'estW', fmt: (v) => v.toFixed(2) + 'W', color: ansi.yellow },
+    ];
+    for (const m of metrics) {
+        // min/max/avg cover the whole history, the chart only the visible window
+        const stats = summarize(entries.map((e) => e[m.key]));
+        const allMax = stats ? stats.max : 0;
+        const chart = sparkline(visible.map((e) => e[m.key]), chartWidth, m.max || allMax);
+        const cell = (v) => pad(v === undefined || v === null ? '-' : m.fmt(v), 12);
+        process.stdout.write(
+            ' ' + pad(m.label, 5) + m.color + chart + ansi.reset + '  ' +
+            cell(last && last[m.key]) +
+            cell(stats && stats.min) + cell(stats && stats.max) + cell(stats && stats.avg) + '\n'
+        );
+    }
+
+    process.stdout.write('\n');
+    if (visible.length) {
+        const from = entries.length - detailOffset - visible.length + 1;
+        process.stdout.write(
+            `${ansi.dim}Samples ${from}–${end} of ${entries.length}, ` +
+            `${new Date(visible[0].t).toLocaleTimeString()}–${new Date(visible[visible.length - 1].t).toLocaleTimeString()}${ansi.reset}\n`
+        );
+    }
+
+    process.stdout.write('\n');
+    process.stdout.write(
+        ansi.dim +
+        'Keys: ←/→=scroll history  esc/d=back  k=kill  q=quit' +
         ansi.reset + '\n'
     );
+    if (replay) writeReplayKeys();
+}
+
+// ---------------- Record & replay ----------------
+
+let recorder = null;
+// { header, samples, truncated, index, playing, speed, timer } while replaying
+let replay = null;
+
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16];
+// a gap in the recording (suspended machine) plays back as at most this long
+const REPLAY_MAX_GAP_MS = 10000;
+
+function startRecording() {
+    recorder = createRecorder(recordPath, {
+        backend: backend.name,
+        label: backend.label,
+        host: os.hostname(),
+        cpuModel,
+        logicalCores,
+        cpuTdpW: CPU_TDP_W,
+        memWPerGb: MEM_W_PER_GB,
+        intervalMs,
+        startedAt: new Date().toISOString(),
+    }, (e) => {
+        console.error(`Recording to ${recordPath} failed: ${e.message}`);
+        process.exit(1);
+    });
+}
+
+function closeRecording(done) {
+    if (recorder) recorder.close(done);
+    else done();
+}
+
+function quit() {
+    if (backend) backend.close();
+    closeRecording(() => process.exit(0));
+}
+
+// "1:05" or "1:02:05"
+function clock(ms) {
+    const sec = Math.max(0, Math.round(ms / 1000));
+    const h = Math.floor(sec / 3600);
+    const m = Math.floor((sec % 3600) / 60);
+    const ss = String(sec % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+
+function writeReplayStatus() {
+    const { header, samples, index, playing, speed, truncated } = replay;
+    const start = samples[0].time.getTime();
+    const state = playing ? `${ansi.green}▶ ${speed}x${ansi.reset}` : `${ansi.yellow}❚❚ paused${ansi.reset}`;
+    process.stdout.write(
+        `${ansi.bold}REPLAY${ansi.reset} ${header.host || ''}  ${state}   ` +
+        `${clock(samples[index].time - start)} / ${clock(samples[samples.length - 1].time - start)}   ` +
+        `${ansi.dim}sample ${index + 1}/${samples.length}${ansi.reset}` +
+        `${index === samples.length - 1 ? `   ${ansi.dim}(end)${ansi.reset}` : ''}` +
+        `${truncated ? `   ${ansi.red}(recording ends abruptly)${ansi.reset}` : ''}\n`
+    );
+}
+
+function writeReplayKeys() {
+    process.stdout.write(
+        ansi.dim +
+        'Replay: space=pause/play  ,/.=step  [/]=seek 1 min  +/-=speed' +
+        ansi.reset + '\n'
+    );
+}
+
+// jumps anywhere: the history is rebuilt from the samples leading up to `index`
+function seekReplay(index) {
+    const { samples } = replay;
+    replay.index = Math.max(0, Math.min(samples.length - 1, index));
+    history = createHistory(history.capacity);
+    for (let i = Math.max(0, replay.index - history.capacity + 1); i <= replay.index; i++) {
+        history.record(samples[i].time.getTime(), samples[i].system, samples[i].processes, detailPid);
+    }
+    lastFrame = samples[replay.index];
+    redraw();
+}
+
+function stepReplay(step) {
+    const next = replay.index + step;
+    if (step !== 1 || next >= replay.samples.length) {
+        seekReplay(next);
+        return;
+    }
+    const frame = replay.samples[next];
+    replay.index = next;
+    history.record(frame.time.getTime(), frame.system, frame.processes, detailPid);
+    lastFrame = frame;
+    redraw();
+}
+
+// `ms` of recorded time, from the current sample
+function seekReplayBy(ms) {
+    const target = replay.samples[replay.index].time.getTime() + ms;
+    const { samples } = replay;
+    let index = samples.findIndex((s) => s.time.getTime() >= target);
+    if (index === -1) index = samples.length - 1;
+    seekReplay(ms < 0 && samples[index].time.getTime() > target ? index - 1 : index);
+}
+
+// plays at the recorded pace, divided by the speed
+function scheduleReplay() {
+    clearTimeout(replay.timer);
+    const { samples, index } = replay;
+    if (!replay.playing) return;
+    if (index >= samples.length - 1) {
+        replay.playing = false;
+        redraw();
+        return;
+    }
+    const gap = Math.min(Math.max(0, samples[index + 1].time - samples[index].time), REPLAY_MAX_GAP_MS);
+    replay.timer = setTimeout(() => {
+        stepReplay(1);
+        scheduleReplay();
+    }, gap / replay.speed);
+}
+
+// true when the key was a replay control
+function handleReplayKey(key) {
+    const speedIdx = REPLAY_SPEEDS.indexOf(replay.speed);
+    const controls = {
+        ' ': () => {
+            // playing again from the end starts over
+            if (!replay.playing && replay.index >= replay.samples.length - 1) seekReplay(0);
+            replay.playing = !replay.playing;
+        },
+        '.': () => { replay.playing = false; stepReplay(1); },
+        ',': () => { replay.playing = false; stepReplay(-1); },
+        ']': () => seekReplayBy(60000),
+        '[': () => seekReplayBy(-60000),
+        '+': () => { replay.speed = REPLAY_SPEEDS[Math.min(REPLAY_SPEEDS.length - 1, speedIdx + 1)]; },
+        '-': () => { replay.speed = REPLAY_SPEEDS[Math.max(0, speedIdx - 1)]; },
+    };
+    if (!controls[key]) return false;
+    controls[key]();
+    scheduleReplay();
+    redraw();
+    return true;
+}
+
+async function startReplay() {
+    let recording;
+    try {
+        recording = await readRecording(replayPath);
+    } catch (e) {
+        console.error(`Could not replay ${replayPath}: ${e.message}`);
+        process.exit(1);
+    }
+    const { header, samples, truncated } = recording;
+    if (!samples.length) {
+        console.error(`${replayPath} has no samples`);
+        process.exit(1);
+    }
+
+    sourceLabel = `${header.label || header.backend}`;
+    logicalCores = header.logicalCores || logicalCores;
+    cpuModel = header.cpuModel || cpuModel;
+    CPU_TDP_W = header.cpuTdpW || CPU_TDP_W;
+    MEM_W_PER_GB = header.memWPerGb || MEM_W_PER_GB;
+    history = createHistory(historyCapacity(header.intervalMs || intervalMs));
+
+    replay = { header, samples, truncated, index: 0, playing: true, speed: 1, timer: null };
+    setupInput();
+    seekReplay(0);
+    scheduleReplay();
 }
 
 // ---------------- Input handling ----------------
@@ -496,9 +720,8 @@ function setupInput() {
     process.stdin.setEncoding('utf8');
 
     process.stdin.on('data', (key) => {
-        if (key === '\u0003' || key === 'q') {
-            process.exit(0);
-        }
+        if (key === '\u0003' || key === 'q') quit();
+        if (replay && handleReplayKey(key)) return;
 
         if (key === 'c') { sortBy = 'cpu'; sortDesc = true; }
         if (key === 'm') { sortBy = 'mem'; sortDesc = true; }
@@ -507,6 +730,21 @@ function setupInput() {
         if (key === 'r') { sortDesc = !sortDesc; }
         if (key === 'w') { sortBy = 'power'; sortDesc = true; } // optional: power sort
 
+        // navigation redraws right away instead of waiting for the next tick
+        const nav = {
+            '\u001b[A': () => moveSelection(-1),
+            '\u001b[B': () => moveSelection(1),
+            '\r': toggleDetail,
+            d: toggleDetail,
+            '\u001b': () => { detailPid = null; },
+            '\u001b[D': () => { detailOffset += 10; },
+            '\u001b[C': () => { detailOffset = Math.max(0, detailOffset - 10); },
+        };
+        if (nav[key]) {
+            nav[key]();
+            redraw();
+        }
+
         if (key === '+') { intervalMs = Math.max(200, Math.floor(intervalMs * 0.8)); }
         if (key === '-') { intervalMs = Math.min(60000, Math.ceil(intervalMs * 1.25)); }
 
@@ -518,7 +756,7 @@ function setupInput() {
             });
         }
 
-        if (key === 'k') {
+        if (key === 'k' && backend) {
             if (process.stdin.isTTY) process.stdin.setRawMode(false);
             rl.question('Kill PID> ', async (answer) => {
                 const pid = parseInt((answer || '').trim(), 10);
@@ -526,7 +764,7 @@ function setupInput() {
                     rl.question(`Confirm kill PID ${pid}? (y/N) `, async (conf) => {
                         if (conf && conf.toLowerCase().startsWith('y')) {
                             try {
-                                await execP(`taskkill /PID ${pid} /F`);
+                                await backend.kill(pid);
                                 console.log(`Killed PID ${pid}`);
                             } catch (e) {
                                 console.log(`Failed to kill PID ${pid}: ${e && e.message ? e.message : e}`);
@@ -542,37 +780,158 @@ function setupInput() {
     });
 }
 
+// ---------------- Headless output ----------------
+
+const format = getArg(['--format'], null);
+const outputPath = getArg(['--output', '-o'], null);
+const serveAddr = getArg(['--serve'], null);
+const listenAddr = serveAddr ? parseListenAddress(serveAddr) : null;
+
+if (format && !FORMATS.includes(format)) {
+    console.error(`Unknown format "${format}" (available: ${FORMATS.join(', ')})`);
+    process.exit(1);
+}
+if (serveAddr && !listenAddr) {
+    console.error(`Invalid --serve address "${serveAddr}", expected [host]:port`);
+    process.exit(1);
+}
+if (replayPath && (recordPath || format || serveAddr)) {
+    console.error('--replay can\'t be combined with --record, --format or --serve');
+    process.exit(1);
+}
+
+function startHeadless() {
+    // status messages go to stderr, stdout may be the data
+    const out = format ? (outputPath ? fs.createWriteStream(outputPath) : process.stdout) : null;
+    let latest = null;
+    let timer = null;
+    let server = null;
+
+    function shutdown(code) {
+        clearTimeout(timer);
+        backend.close();
+        if (server) server.close();
+        closeRecording(() => {
+            if (out && out !== process.stdout) out.end(() => process.exit(code));
+            else process.exit(code);
+        });
+    }
+
+    if (out) {
+        // a closed pipe (`| head`) just ends the run
+        out.on('error', (e) => {
+            if (e.code !== 'EPIPE') console.error(`Output failed: ${e.message}`);
+            shutdown(e.code === 'EPIPE' ? 0 : 1);
+        });
+        if (format === 'csv') out.write(csvHeader());
+    }
+
+    if (listenAddr) {
+        server = http.createServer((req, res) => {
+            if (req.url.split('?')[0] !== '/metrics') {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found\n');
+                return;
+            }
+            if (!latest) {
+                res.writeHead(503, { 'Content-Type': 'text/plain' });
+                res.end('No sample yet\n');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(toPrometheus(latest));
+        });
+        server.on('error', (e) => {
+            console.error(`Could not serve metrics: ${e.message}`);
+            shutdown(1);
+        });
+        server.listen(listenAddr.port, listenAddr.host, () => {
+            const { port } = server.address();
+            console.error(`Serving metrics on http://${listenAddr.host || 'localhost'}:${port}/metrics`);
+        });
+    }
+
+    process.on('SIGINT', () => shutdown(0));
+    process.on('SIGTERM', () => shutdown(0));
+
+    async function tick() {
+        try {
+            const [system, procsRaw, battery, profile] = await sampleAll();
+            const time = new Date();
+            if (recorder) recorder.write({ time, system, processes: procsRaw, battery, powerProfile: profile });
+            latest = {
+                time,
+                system,
+                battery,
+                powerProfile: profile,
+                processes: sortAndFilterProcesses(procsRaw),
+            };
+            if (out) out.write(format === 'csv' ? toCsvRows(latest) : toJsonLine(latest));
+        } catch (e) {
+            console.error('Error:', e && e.message ? e.message : e);
+        } finally {
+            timer = setTimeout(tick, intervalMs);
+        }
+    }
+
+    // a first reading has nothing to diff against (Linux CPU is the average
+    // since boot), so warm up with one sample and emit from the next
+    sampleAll()
+        .catch(() => {})
+        .then(() => {
+            timer = setTimeout(tick, intervalMs);
+        });
+}
+
 // ---------------- Main loop ----------------
 
+function sampleAll() {
+    return Promise.all([
+        sampleSystem(),
+        sampleProcesses(),
+        sampleBattery(),
+        samplePowerProfile(),
+    ]);
+}
+
+// { time, system, processes, battery, powerProfile } on screen, processes unsorted
+let lastFrame = null;
+
+function redraw() {
+    if (!lastFrame) return;
+    const { time, system, processes, battery, powerProfile } = lastFrame;
+    render(system, sortAndFilterProcesses(processes), battery, powerProfile, time);
+}
+
 (async function main() {
-    await detectLogicalCores();
-    await detectCpuModel();
+    if (replayPath) {
+        await startReplay();
+        return;
+    }
 
-    // Seed CPU map
-    const initRaw = await sampleProcessesRaw();
-    prevSampleTime = Date.now();
-    prevCpuMap.clear();
-    for (const p of initRaw) {
-        const pid = Number(p.ProcessId || 0);
-        const kTicks = Number(p.KernelModeTime || 0); 
-        const uTicks = Number(p.UserModeTime || 0);
-        const totalTicks = kTicks + uTicks;
-        const cpuSec = totalTicks / 1e7;
-        prevCpuMap.set(pid, cpuSec);
+    ({ logicalCores, cpuModel } = await backend.init());
+    if (recordPath) startRecording();
+
+    if (format || listenAddr) {
+        startHeadless();
+        return;
     }
 
+    // Seed CPU map
+    await sampleProcesses();
+
     setupInput();
+    // without a TTY, Ctrl+C is a signal rather than a key
+    process.on('SIGINT', quit);
 
     async function tick() {
         try {
-            const [system, procsRaw, battery, scheme] = await Promise.all([
-                sampleSystem(),
-                sampleProcesses(),
-                sampleBattery(),
-                samplePowerScheme(),
-            ]);
-            const procs = sortAndFilterProcesses(procsRaw);
-            render(system, procs, battery, scheme);
+            const [system, processes, battery, powerProfile] = await sampleAll();
+            const frame = { time: new Date(), system, processes, battery, powerProfile };
+            history.record(frame.time.getTime(), system, processes, detailPid);
+            if (recorder) recorder.write(frame);
+            lastFrame = frame;
+            redraw();
         } catch (e) {
             console.error('Error:', e && e.message ? e.message : e);
         } finally {
@@ -0,0 +1,43 @@
+/**
+ * Sampler backends for win-top. Each one is created by a factory and
+ * returns the same interface:
+ *
+ *   name, label
+ *   init()               -> { logicalCores, cpuModel }
+ *   sampleSystem()       -> { cpu, totalMem, usedMem, procCount, uptimeSec }
+ *   sampleProcesses()    -> [{ pid, name, cmd, cpuSec, memBytes }]
+ *   sampleBattery()      -> { charge, status } | null
+ *   samplePowerProfile() -> string
+ *   kill(pid)
+ *   close()              -> ends whatever the backend keeps running
+ *
+ * cpuSec is cumulative CPU time, win-top turns it into CPU% between samples.
+ */
+
+const { createPowerShellBackend } = require('./powershell');
+const { createLinuxBackend } = require('./linux');
+
+const BACKENDS = {
+    powershell: createPowerShellBackend,
+    linux: createLinuxBackend,
+};
+
+const PLATFORM_DEFAULTS = {
+    win32: 'powershell',
+    linux: 'linux',
+};
+
+// `name` picks a backend explicitly, otherwise the one for this platform
+function createBackend(name = PLATFORM_DEFAULTS[process.platform], options) {
+    const factory = BACKENDS[name];
+    if (!factory) {
+        throw new Error(
+            name
+                ? `Unknown backend "${name}" (available: ${Object.keys(BACKENDS).join(', ')})`
+                : `No backend for platform "${process.platform}"`
+        );
+    }
+    return factory(options);
+}
+
+module.exports = { BACKENDS, createBackend };
@@ -0,0 +1,255 @@
+/**
+ * Linux backend for win-top.
+ *
+ * Reads /proc and /sys directly, no child processes except a one-off
+ * `getconf` for the clock tick and page size. `procRoot`/`sysRoot` are
+ * injectable so a recorded tree of those files can stand in for the real one.
+ */
+
+const fsp = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const util = require('util');
+
+const execFileP = util.promisify(execFile);
+
+// the usual values, used when getconf is missing
+const DEFAULT_CLOCK_TICKS = 100;
+const DEFAULT_PAGE_SIZE = 4096;
+
+const BATTERY_STATUS = {
+    Charging: 'Charging',
+    Discharging: 'Discharging',
+    Full: 'Fully charged',
+    'Not charging': 'Not charging',
+};
+
+// ---------------- Parsers ----------------
+// Each takes the raw file contents.
+
+// aggregate "cpu" line of /proc/stat, in clock ticks:
+// user nice system idle iowait irq softirq steal guest guest_nice
+function parseCpuTimes(text) {
+    const line = text.split('\n').find((l) => l.startsWith('cpu '));
+    if (!line) return null;
+    const v = line.trim().split(/\s+/).slice(1).map(Number);
+    // guest time is already included in user/nice
+    const total = v.slice(0, 8).reduce((sum, n) => sum + (n || 0), 0);
+    const idle = (v[3] || 0) + (v[4] || 0);
+    return { total, idle };
+}
+
+// busy share between two parseCpuTimes() readings
+function cpuPercent(prev, next) {
+    const total = next.total - prev.total;
+    const idle = next.idle - prev.idle;
+    if (total <= 0) return 0;
+    return Math.max(0, Math.min(100, (1 - idle / total) * 100));
+}
+
+// /proc/meminfo, values in kB; "used" is what top calls it: total - available
+function parseMeminfo(text) {
+    const kb = {};
+    for (const line of text.split('\n')) {
+        const m = line.match(/^([\w()]+):\s+(\d+)/);
+        if (m) kb[m[1]] = Number(m[2]);
+    }
+    const totalMem = (kb.MemTotal || 0) * 1024;
+    // MemAvailable only exists since Linux 3.14
+    const available = kb.MemAvailable !== undefined
+        ? kb.MemAvailable
+        : (kb.MemFree || 0) + (kb.Buffers || 0) + (kb.Cached || 0);
+    return { totalMem, usedMem: Math.max(0, totalMem - available * 1024) };
+}
+
+// /proc/[pid]/stat; the name may contain spaces and ')', so it ends at the last ')'
+function parsePidStat(text) {
+    const open = text.indexOf('(');
+    const close = text.lastIndexOf(')');
+    if (open === -1 || close === -1) return null;
+    // fields after the name start at field 3 (state)
+    const fields = text.slice(close + 1).trim().split(/\s+/);
+    const field = (n) => Number(fields[n - 3] || 0);
+    return {
+        pid: parseInt(text.slice(0, open), 10),
+        name: text.slice(open + 1, close),
+        utime: field(14),
+        stime: field(15),
+        rssPages: field(24),
+    };
+}
+
+// /proc/[pid]/cmdline is NUL-separated, empty for kernel threads
+function parseCmdline(text) {
+    return text.split('\0').filter(Boolean).join(' ');
+}
+
+// x86 has "model name", most ARM kernels only "Hardware" or "Processor"
+function parseCpuModel(text) {
+    for (const key of ['model name', 'Hardware', 'Processor']) {
+        const m = text.match(new RegExp(`^${key}\\s*:\\s*(.+)$`, 'm'));
+        if (m) return m[1].trim().replace(/\s+/g, ' ');
+    }
+    return null;
+}
+
+// first field of /proc/uptime, seconds since boot
+function parseUptime(text) {
+    const sec = parseFloat(text);
+    return Number.isFinite(sec) ? Math.floor(sec) : null;
+}
+
+// `capacity` and `status` of a /sys/class/power_supply/<name> of type Battery
+function parseBattery(capacity, status) {
+    const charge = parseInt(capacity, 10);
+    const s = (status || '').trim();
+    return {
+        charge: Number.isFinite(charge) ? charge : null,
+        status: BATTERY_STATUS[s] || 'Unknown',
+    };
+}
+
+// ---------------- Backend ----------------
+
+function createLinuxBackend({
+    procRoot = '/proc',
+    sysRoot = '/sys',
+    fs = fsp,
+    clockTicks,
+    pageSize,
+} = {}) {
+    const proc = (...parts) => path.join(procRoot, ...parts);
+    const sys = (...parts) => path.join(sysRoot, ...parts);
+    const read = (file) => fs.readFile(file, 'utf8');
+    const readOr = (file, fallback) => read(file).catch(() => fallback);
+
+    let ticks = clockTicks || DEFAULT_CLOCK_TICKS;
+    let pageBytes = pageSize || DEFAULT_PAGE_SIZE;
+    let prevCpu = { total: 0, idle: 0 };
+
+    async function getconf(name, fallback) {
+        try {
+            const { stdout } = await execFileP('getconf', [name]);
+            return parseInt(stdout.trim(), 10) || fallback;
+        } catch {
+            return fallback;
+        }
+    }
+
+    async function listPids() {
+        const entries = await fs.readdir(procRoot);
+        return entries.filter((e) => /^\d+$/.test(e));
+    }
+
+    async function init() {
+        if (!clockTicks) ticks = await getconf('CLK_TCK', DEFAULT_CLOCK_TICKS);
+        if (!pageSize) pageBytes = await getconf('PAGESIZE', DEFAULT_PAGE_SIZE);
+
+        const cpuinfo = await readOr(proc('cpuinfo'), '');
+        const cpuModel = parseCpuModel(cpuinfo) || (os.cpus()[0] && os.cpus()[0].model) || 'Unknown CPU';
+        const logicalCores = (cpuinfo.match(/^processor\s*:/gm) || []).length || os.cpus().length;
+        return { logicalCores, cpuModel };
+    }
+
+    async function sampleSystem() {
+        const [stat, meminfo, uptime, pids] = await Promise.all([
+            read(proc('stat')),
+            read(proc('meminfo')),
+            readOr(proc('uptime'), ''),
+            listPids(),
+        ]);
+
+        // the first sample covers everything since boot
+        const times = parseCpuTimes(stat);
+        const cpu = times ? cpuPercent(prevCpu, times) : 0;
+        if (times) prevCpu = times;
+
+        return {
+            cpu,
+            ...parseMeminfo(meminfo),
+            procCount: pids.length,
+            uptimeSec: parseUptime(uptime),
+        };
+    }
+
+    // processes may exit between readdir and read, those are skipped
+    async function sampleProcess(pid) {
+        try {
+            const [stat, cmdline] = await Promise.all([
+                read(proc(pid, 'stat')),
+                readOr(proc(pid, 'cmdline'), ''),
+            ]);
+            const s = parsePidStat(stat);
+            if (!s) return null;
+            return {
+                pid: s.pid,
+                name: s.name,
+                cmd: parseCmdline(cmdline),
+                cpuSec: (s.utime + s.stime) / ticks,
+                memBytes: s.rssPages * pageBytes,
+            };
+        } catch {
+            return null;
+        }
+    }
+
+    async function sampleProcesses() {
+        const rows = await Promise.all((await listPids()).map(sampleProcess));
+        return rows.filter(Boolean);
+    }
+
+    async function sampleBattery() {
+        const dir = sys('class', 'power_supply');
+        let supplies;
+        try {
+            supplies = await fs.readdir(dir);
+        } catch {
+            return null;
+        }
+        for (const name of supplies) {
+            const type = await readOr(path.join(dir, name, 'type'), '');
+            if (type.trim() !== 'Battery') continue;
+            const [capacity, status] = await Promise.all([
+                readOr(path.join(dir, name, 'capacity'), ''),
+                readOr(path.join(dir, name, 'status'), ''),
+            ]);
+            return parseBattery(capacity, status);
+        }
+        return null;
+    }
+
+    // cpufreq governor of cpu0 (powersave, performance, schedutil, ...)
+    async function samplePowerProfile() {
+        const governor = await readOr(sys('devices', 'system', 'cpu', 'cpu0', 'cpufreq', 'scaling_governor'), '');
+        return governor.trim() || 'Unknown';
+    }
+
+    async function kill(pid) {
+        process.kill(Number(pid), 'SIGKILL');
+    }
+
+    return {
+        name: 'linux',
+        label: 'Linux',
+        init,
+        sampleSystem,
+        sampleProcesses,
+        sampleBattery,
+        samplePowerProfile,
+        kill,
+        close() {},
+    };
+}
+
+module.exports = {
+    createLinuxBackend,
+    parseCpuTimes,
+    cpuPercent,
+    parseMeminfo,
+    parsePidStat,
+    parseCmdline,
+    parseCpuModel,
+    parseUptime,
+    parseBattery,
+};
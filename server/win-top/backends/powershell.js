@@ -0,0 +1,184 @@
+/**
+ * PowerShell backend for win-top (Windows 10/11).
+ *
+ * Every metric comes from one persistent PowerShell child (see
+ * powershellSession.js), one request per sampler method, so a full tick is
+ * four requests answered in turn by that child; nothing spawns per tick.
+ * `spawn` or a whole `session` can be injected to run it against a fake.
+ */
+
+const os = require('os');
+const { createPowerShellSession } = require('./powershellSession');
+
+const BATTERY_STATUS = {
+    1: 'Discharging',
+    2: 'AC/Online',
+    3: 'Fully charged',
+    4: 'Low',
+    5: 'Critical',
+    6: 'Charging',
+    7: 'Charging (High)',
+    8: 'Charging (Low)',
+    9: 'Charging (Critical)',
+    10: 'Undefined',
+    11: 'Partially charged',
+};
+
+// ---------------- Scripts ----------------
+// $cpuCounter is set up by the session, Get-Counter is the fallback.
+
+const SCRIPTS = {
+    init: `[pscustomobject]@{
+        LogicalCores = (Get-CimInstance Win32_ComputerSystem).NumberOfLogicalProcessors
+        Model = (Get-CimInstance Win32_Processor | Select-Object -First 1).Name
+    }`,
+    system: `$os = Get-CimInstance Win32_OperatingSystem
+    [pscustomobject]@{
+        Cpu = $(if ($cpuCounter) { $cpuCounter.NextValue() } else { (Get-Counter '\\Processor(_Total)\\% Processor Time').CounterSamples.CookedValue })
+        TotalVisibleMemorySize = $os.TotalVisibleMemorySize
+        FreePhysicalMemory = $os.FreePhysicalMemory
+        NumberOfProcesses = $os.NumberOfProcesses
+        UptimeSeconds = [int]((Get-Date) - $os.LastBootUpTime).TotalSeconds
+    }`,
+    processes: 'Get-CimInstance Win32_Process | ' +
+        'Select-Object ProcessId,Name,CommandLine,KernelModeTime,UserModeTime,WorkingSetSize',
+    battery: 'Get-CimInstance Win32_Battery | Select-Object EstimatedChargeRemaining,BatteryStatus',
+    powerScheme: 'Get-CimInstance -Namespace root\\cimv2\\power -ClassName Win32_PowerPlan -Filter "IsActive=True" | ' +
+        'Select-Object ElementName',
+    kill: (pid) => `Stop-Process -Id ${Number(pid)} -Force`,
+};
+
+function asArray(data) {
+    if (!data) return [];
+    return Array.isArray(data) ? data : [data];
+}
+
+// ---------------- Parsers ----------------
+
+function parseInit(data) {
+    const d = asArray(data)[0] || {};
+    const cores = parseInt(d.LogicalCores, 10);
+    return {
+        logicalCores: cores > 0 ? cores : os.cpus().length,
+        cpuModel: d.Model ? String(d.Model).trim().replace(/\s+/g, ' ') : 'Unknown CPU',
+    };
+}
+
+// Win32_OperatingSystem sizes are in kB
+function parseSystem(data) {
+    const d = asArray(data)[0] || {};
+    let totalMem = os.totalmem();
+    let usedMem = totalMem - os.freemem();
+    if (d.TotalVisibleMemorySize && d.FreePhysicalMemory) {
+        totalMem = d.TotalVisibleMemorySize * 1024;
+        usedMem = Math.max(0, totalMem - d.FreePhysicalMemory * 1024);
+    }
+    const uptimeSec = parseInt(d.UptimeSeconds, 10);
+    return {
+        cpu: parseFloat(d.Cpu) || 0,
+        totalMem,
+        usedMem,
+        procCount: parseInt(d.NumberOfProcesses, 10) || 0,
+        uptimeSec: Number.isNaN(uptimeSec) ? null : uptimeSec,
+    };
+}
+
+function parseBattery(data) {
+    const b = asArray(data)[0];
+    if (!b) return null;
+    const charge = b.EstimatedChargeRemaining;
+    return {
+        charge: Number.isFinite(charge) ? charge : null,
+        status: BATTERY_STATUS[b.BatteryStatus] || 'Unknown',
+    };
+}
+
+// the active Win32_PowerPlan ("Balanced", "High performance", ...)
+function parsePowerScheme(data) {
+    const plan = asArray(data)[0];
+    const name = plan && plan.ElementName ? String(plan.ElementName).trim() : '';
+    return name || 'Unknown';
+}
+
+// Win32_Process rows; kernel/user times are in 100ns units
+function parseProcesses(data) {
+    return asArray(data).map((p) => ({
+        pid: Number(p.ProcessId || 0),
+        name: p.Name || '',
+        cmd: (p.CommandLine || '').trim(),
+        cpuSec: (Number(p.KernelModeTime || 0) + Number(p.UserModeTime || 0)) / 1e7,
+        memBytes: Number(p.WorkingSetSize || 0),
+    }));
+}
+
+// ---------------- Backend ----------------
+
+function createPowerShellBackend({ spawn, timeoutMs, session } = {}) {
+    const ps = session || createPowerShellSession({ spawn, timeoutMs });
+
+    async function init() {
+        try {
+            return parseInit(await ps.request(SCRIPTS.init));
+        } catch {
+            return parseInit(null);
+        }
+    }
+
+    async function sampleSystem() {
+        try {
+            return parseSystem(await ps.request(SCRIPTS.system));
+        } catch {
+            return parseSystem(null);
+        }
+    }
+
+    async function sampleProcesses() {
+        try {
+            return parseProcesses(await ps.request(SCRIPTS.processes));
+        } catch {
+            return [];
+        }
+    }
+
+    async function sampleBattery() {
+        try {
+            return parseBattery(await ps.request(SCRIPTS.battery));
+        } catch {
+            return null;
+        }
+    }
+
+    async function samplePowerProfile() {
+        try {
+            return parsePowerScheme(await ps.request(SCRIPTS.powerScheme));
+        } catch {
+            return 'Unknown';
+        }
+    }
+
+    async function kill(pid) {
+        await ps.request(SCRIPTS.kill(pid));
+    }
+
+    return {
+        name: 'powershell',
+        label: 'Windows',
+        init,
+        sampleSystem,
+        sampleProcesses,
+        sampleBattery,
+        samplePowerProfile,
+        kill,
+        close: () => ps.close(),
+    };
+}
+
+module.exports = {
+    SCRIPTS,
+    createPowerShellBackend,
+    parseInit,
+    parseSystem,
+    parseBattery,
+    parsePowerScheme,
+    parseProcesses,
+};
@@ -0,0 +1,151 @@
+/**
+ * One long-lived PowerShell child for the PowerShell backend.
+ *
+ * Protocol, one JSON object per line:
+ *   stdin:  { "id": 1, "script": "Get-Process | Select-Object Id" }
+ *   stdout: { "id": 1, "ok": true, "result": <script output as JSON> }
+ *           { "id": 1, "ok": false, "error": "message" }
+ *
+ * A request that takes longer than `timeoutMs` fails and takes the child
+ * down with it (PowerShell answers in order, so everything behind it would
+ * wait too). When the child dies its pending requests fail and the next
+ * request starts a fresh one. `spawn` is injectable so a fake child can
+ * stand in for PowerShell.
+ */
+
+const childProcess = require('child_process');
+const readline = require('readline');
+
+// runs inside the child; $cpuCounter survives between requests, so CPU% is
+// measured since the previous sample instead of Get-Counter's blocking second
+const LOOP_SCRIPT = `
+$ErrorActionPreference = 'Stop'
+[Console]::OutputEncoding = New-Object System.Text.UTF8Encoding $false
+$cpuCounter = $null
+try {
+    $cpuCounter = New-Object System.Diagnostics.PerformanceCounter('Processor', '% Processor Time', '_Total')
+    [void]$cpuCounter.NextValue()
+} catch {}
+while ($true) {
+    $line = [Console]::In.ReadLine()
+    if ($null -eq $line) { break }
+    if (-not $line.Trim()) { continue }
+    $id = 0
+    try {
+        $req = $line | ConvertFrom-Json
+        $id = [int]$req.id
+        $json = & ([scriptblock]::Create($req.script)) | ConvertTo-Json -Depth 4 -Compress
+        if (-not $json) { $json = 'null' }
+        $res = '{"id":' + $id + ',"ok":true,"result":' + $json + '}'
+    } catch {
+        $res = '{"id":' + $id + ',"ok":false,"error":' + ($_.Exception.Message | ConvertTo-Json -Compress) + '}'
+    }
+    [Console]::Out.WriteLine($res)
+    [Console]::Out.Flush()
+}
+`;
+
+class SamplerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SamplerError';
+    }
+}
+
+// -EncodedCommand sidesteps command-line quoting; it takes UTF-16LE base64
+function encodeCommand(script) {
+    return Buffer.from(script, 'utf16le').toString('base64');
+}
+
+function createPowerShellSession({
+    spawn = childProcess.spawn,
+    command = 'powershell',
+    timeoutMs = 10000,
+} = {}) {
+    let child = null;
+    let nextId = 1;
+    let starts = 0;
+    let closed = false;
+    const pending = new Map();
+
+    // fails everything still waiting on `proc`; later events from it are ignored
+    function stop(proc, error) {
+        if (child !== proc) return;
+        child = null;
+        for (const { reject, timer } of pending.values()) {
+            clearTimeout(timer);
+            reject(error);
+        }
+        pending.clear();
+    }
+
+    function onLine(line) {
+        let msg;
+        try {
+            // Windows PowerShell may open with a byte order mark
+            msg = JSON.parse(line.replace(/^\uFEFF/, ''));
+        } catch {
+            return; // stray output, not part of the protocol
+        }
+        const req = msg && pending.get(msg.id);
+        if (!req) return;
+        pending.delete(msg.id);
+        clearTimeout(req.timer);
+        if (msg.ok) req.resolve(msg.result);
+        else req.reject(new SamplerError(msg.error || 'PowerShell request failed'));
+    }
+
+    function start() {
+        const proc = spawn(
+            command,
+            ['-NoProfile', '-NonInteractive', '-EncodedCommand', encodeCommand(LOOP_SCRIPT)],
+            { stdio: ['pipe', 'pipe', 'ignore'], windowsHide: true }
+        );
+        starts += 1;
+        child = proc;
+
+        readline.createInterface({ input: proc.stdout }).on('line', (line) => {
+            if (child === proc) onLine(line);
+        });
+        proc.on('error', (e) => stop(proc, new SamplerError(`PowerShell sampler failed: ${e.message}`)));
+        proc.on('exit', (code, signal) => stop(proc, new SamplerError(`PowerShell sampler exited (${signal || code})`)));
+        // writes after the child died surface as EPIPE, 'exit' already covers that
+        proc.stdin.on('error', () => {});
+    }
+
+    function request(script) {
+        if (closed) return Promise.reject(new SamplerError('PowerShell sampler is closed'));
+        if (!child) start();
+
+        const proc = child;
+        const id = nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                pending.delete(id);
+                reject(new SamplerError(`PowerShell request timed out after ${timeoutMs}ms`));
+                stop(proc, new SamplerError('PowerShell sampler restarted after a timeout'));
+                proc.kill();
+            }, timeoutMs);
+            pending.set(id, { resolve, reject, timer });
+            proc.stdin.write(JSON.stringify({ id, script }) + '\n');
+        });
+    }
+
+    function close() {
+        closed = true;
+        const proc = child;
+        if (!proc) return;
+        stop(proc, new SamplerError('PowerShell sampler is closed'));
+        proc.stdin.end();
+        proc.kill();
+    }
+
+    return {
+        request,
+        close,
+        // how many children were started, more than one means restarts
+        get starts() { return starts; },
+    };
+}
+
+module.exports = { SamplerError, createPowerShellSession };
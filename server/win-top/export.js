@@ -0,0 +1,148 @@
+/**
+ * Headless output for win-top. Every formatter takes the same record:
+ *
+ *   { time, system, battery, powerProfile, processes }
+ *
+ * where `system` comes from sampleSystem() and `processes` is the sorted,
+ * filtered and --top limited list, so every format shows what the screen would.
+ */
+
+const FORMATS = ['json', 'csv'];
+
+function systemFields(system) {
+    return {
+        cpu: system.cpu,
+        totalMem: system.totalMem,
+        usedMem: system.usedMem,
+        procCount: system.procCount,
+        uptimeSec: system.uptimeSec,
+        estPowerW: system.estPowerW,
+        cpuW: system.cpuW,
+        memW: system.memW,
+    };
+}
+
+function processFields(p) {
+    return {
+        pid: p.pid,
+        name: p.name,
+        cmd: p.cmd,
+        cpuPct: p.cpuPct,
+        memBytes: p.memBytes,
+        estW: p.estW,
+    };
+}
+
+// ---------------- JSON lines ----------------
+
+function toJsonLine(record) {
+    return JSON.stringify({
+        time: record.time.toISOString(),
+        system: systemFields(record.system),
+        battery: record.battery,
+        powerProfile: record.powerProfile,
+        processes: record.processes.map(processFields),
+    }) + '\n';
+}
+
+// ---------------- CSV ----------------
+// One row per process and tick; the system columns repeat on each row of a tick.
+
+const CSV_COLUMNS = [
+    'time',
+    'sys_cpu_pct', 'sys_mem_used_bytes', 'sys_mem_total_bytes', 'sys_est_w', 'sys_proc_count',
+    'pid', 'name', 'cpu_pct', 'mem_bytes', 'est_w', 'cmd',
+];
+
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    const s = String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvHeader() {
+    return CSV_COLUMNS.join(',') + '\n';
+}
+
+function toCsvRows(record) {
+    const { system } = record;
+    const time = record.time.toISOString();
+    return record.processes
+        .map((p) => [
+            time,
+            system.cpu, system.usedMem, system.totalMem, system.estPowerW, system.procCount,
+            p.pid, p.name, p.cpuPct, p.memBytes, p.estW, p.cmd,
+        ].map(csvField).join(',') + '\n')
+        .join('');
+}
+
+// ---------------- Prometheus ----------------
+
+// label values escape backslash, double quote and newline
+function labelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labels(obj) {
+    const parts = Object.entries(obj).map(([k, v]) => `${k}="${labelValue(v)}"`);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function num(value) {
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+// text exposition format 0.0.4
+function toPrometheus(record) {
+    const lines = [];
+    const metric = (name, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+        for (const [labelSet, value] of samples) lines.push(`${name}${labels(labelSet)} ${num(value)}`);
+    };
+    const { system, battery, powerProfile, processes } = record;
+
+    metric('wintop_cpu_percent', 'Total CPU usage in percent.', [[{}, system.cpu]]);
+    metric('wintop_memory_used_bytes', 'Memory in use.', [[{}, system.usedMem]]);
+    metric('wintop_memory_total_bytes', 'Total physical memory.', [[{}, system.totalMem]]);
+    metric('wintop_processes', 'Number of running processes.', [[{}, system.procCount]]);
+    if (Number.isFinite(system.uptimeSec)) {
+        metric('wintop_uptime_seconds', 'Time since boot.', [[{}, system.uptimeSec]]);
+    }
+    metric('wintop_power_watts', 'Estimated system power draw from the CPU/RAM model.', [
+        [{ component: 'total' }, system.estPowerW],
+        [{ component: 'cpu' }, system.cpuW],
+        [{ component: 'memory' }, system.memW],
+    ]);
+    if (battery && battery.charge !== null) {
+        metric('wintop_battery_charge_percent', 'Battery charge in percent.', [[{ status: battery.status }, battery.charge]]);
+    }
+    metric('wintop_power_profile_info', 'Active power scheme or cpufreq governor.', [[{ profile: powerProfile || 'Unknown' }, 1]]);
+
+    const proc = (p) => ({ pid: p.pid, name: p.name });
+    metric('wintop_process_cpu_percent', 'Process CPU usage in percent of all cores.',
+        processes.map((p) => [proc(p), p.cpuPct]));
+    metric('wintop_process_memory_bytes', 'Process resident memory.',
+        processes.map((p) => [proc(p), p.memBytes]));
+    metric('wintop_process_power_watts', 'Estimated process power draw.',
+        processes.map((p) => [proc(p), p.estW]));
+
+    return lines.join('\n') + '\n';
+}
+
+// ":9100", "9100" or "127.0.0.1:9100"; no host means all interfaces
+function parseListenAddress(value) {
+    const m = /^(?:(.*):)?(\d+)$/.exec(String(value || '').trim());
+    if (!m) return null;
+    const port = parseInt(m[2], 10);
+    if (port > 65535) return null;
+    return { host: m[1] || undefined, port };
+}
+
+module.exports = {
+    FORMATS,
+    toJsonLine,
+    csvHeader,
+    toCsvRows,
+    toPrometheus,
+    parseListenAddress,
+};
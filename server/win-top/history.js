@@ -0,0 +1,84 @@
+/**
+ * Sample history for win-top: fixed-size ring buffers for the system and for
+ * every live process. A process's history goes when the process does, unless
+ * it is the one being looked at.
+ */
+
+// oldest entries are overwritten once `capacity` is reached
+function createRingBuffer(capacity) {
+    const items = new Array(capacity);
+    let start = 0;
+    let size = 0;
+
+    return {
+        capacity,
+        get size() { return size; },
+        push(item) {
+            items[(start + size) % capacity] = item;
+            if (size < capacity) size += 1;
+            else start = (start + 1) % capacity;
+        },
+        // oldest first
+        toArray() {
+            const out = new Array(size);
+            for (let i = 0; i < size; i++) out[i] = items[(start + i) % capacity];
+            return out;
+        },
+        last() {
+            return size ? items[(start + size - 1) % capacity] : undefined;
+        },
+    };
+}
+
+// min / max / avg of a series, null when it is empty
+function summarize(values) {
+    if (!values.length) return null;
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    for (const v of values) {
+        if (v < min) min = v;
+        if (v > max) max = v;
+        sum += v;
+    }
+    return { min, max, avg: sum / values.length };
+}
+
+function createHistory(capacity) {
+    const system = createRingBuffer(capacity);
+    const processes = new Map(); // pid -> ring of { t, name, cpuPct, memBytes, estW }
+
+    // `keep` is a pid whose history survives the process exiting
+    function record(t, sys, rows, keep) {
+        system.push({
+            t,
+            cpu: Math.max(0, Math.min(100, sys.cpu || 0)),
+            memPct: sys.totalMem ? (sys.usedMem / sys.totalMem) * 100 : 0,
+            estW: sys.estPowerW || 0,
+        });
+
+        const seen = new Set();
+        for (const r of rows) {
+            seen.add(r.pid);
+            let ring = processes.get(r.pid);
+            // a reused pid is a different process
+            if (!ring || ring.last().name !== r.name) {
+                ring = createRingBuffer(capacity);
+                processes.set(r.pid, ring);
+            }
+            ring.push({ t, name: r.name, cpuPct: r.cpuPct, memBytes: r.memBytes, estW: r.estW });
+        }
+        for (const pid of processes.keys()) {
+            if (!seen.has(pid) && pid !== keep) processes.delete(pid);
+        }
+    }
+
+    return {
+        capacity,
+        system,
+        process: (pid) => processes.get(pid),
+        record,
+    };
+}
+
+module.exports = { createRingBuffer, summarize, createHistory };
@@ -0,0 +1,131 @@
+/**
+ * win-top recordings: gzip'd NDJSON, a header line and then one line per sample.
+ *
+ *   { "type": "header", "version": 1, "backend": "linux", "label": "Linux", "host": "...",
+ *     "cpuModel": "...", "logicalCores": 8, "cpuTdpW": 15, "memWPerGb": 1.5,
+ *     "intervalMs": 1000, "startedAt": "..." }
+ *   { "type": "sample", "time": "...", "system": {...}, "processes": [...],
+ *     "battery": {...} | null, "powerProfile": "..." }
+ *
+ * `processes` is every process of the tick, before sorting and filtering.
+ * Each sample is flushed on its own, so a recording cut short by a crash is
+ * readable up to its last complete sample.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+
+const RECORDING_VERSION = 1;
+
+// `onError` hears about write failures (disk full, missing directory)
+function createRecorder(file, header, onError) {
+    const out = fs.createWriteStream(file);
+    const gzip = zlib.createGzip();
+    gzip.pipe(out);
+    out.on('error', onError);
+    gzip.on('error', onError);
+
+    function writeLine(record) {
+        gzip.write(JSON.stringify(record) + '\n');
+        gzip.flush();
+    }
+
+    writeLine({ type: 'header', version: RECORDING_VERSION, ...header });
+
+    return {
+        write(frame) {
+            writeLine({
+                type: 'sample',
+                time: frame.time.toISOString(),
+                system: frame.system,
+                processes: frame.processes,
+                battery: frame.battery,
+                powerProfile: frame.powerProfile,
+            });
+        },
+        // `done` runs once everything is on disk
+        close(done) {
+            out.on('close', done);
+            gzip.end();
+        },
+    };
+}
+
+function isGzip(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const magic = Buffer.alloc(2);
+        return fs.readSync(fd, magic, 0, 2, 0) === 2 && magic[0] === 0x1f && magic[1] === 0x8b;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// the whole recording, samples oldest first with `time` as a Date; plain
+// (not gzip'd) NDJSON works too. `truncated` is set when the file ends mid-sample.
+function readRecording(file) {
+    return new Promise((resolve, reject) => {
+        let gz;
+        try {
+            gz = isGzip(file);
+        } catch (e) {
+            reject(e);
+            return;
+        }
+
+        let header = null;
+        let truncated = false;
+        let failure = null;
+        const samples = [];
+
+        const source = fs.createReadStream(file);
+        const input = gz ? source.pipe(zlib.createGunzip()) : source;
+        const rl = readline.createInterface({ input, crlfDelay: Infinity });
+
+        source.on('error', (e) => {
+            failure = e;
+            rl.close();
+        });
+        // a gzip stream that stops early, everything before it is still good.
+        // readline re-emits errors of its input on the interface, so both need a listener
+        const stoppedEarly = (e) => {
+            if (e === failure) return;
+            truncated = true;
+            rl.close();
+        };
+        if (input !== source) input.on('error', stoppedEarly);
+        rl.on('error', stoppedEarly);
+
+        rl.on('line', (line) => {
+            if (!line.trim() || failure) return;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch {
+                truncated = true;
+                return;
+            }
+            if (!header) {
+                if (record.type !== 'header') {
+                    failure = new Error('not a win-top recording');
+                } else if (record.version > RECORDING_VERSION) {
+                    failure = new Error(`recording format ${record.version} is newer than this win-top (${RECORDING_VERSION})`);
+                } else {
+                    header = record;
+                }
+                if (failure) rl.close();
+                return;
+            }
+            if (record.type === 'sample') samples.push({ ...record, time: new Date(record.time) });
+        });
+
+        rl.on('close', () => {
+            if (failure) reject(failure);
+            else if (!header) reject(new Error('not a win-top recording'));
+            else resolve({ header, samples, truncated });
+        });
+    });
+}
+
+module.exports = { RECORDING_VERSION, createRecorder, readRecording };